@@ -0,0 +1,752 @@
+/**
+ * Graph Formats for the Search Algorithms Visualization
+ *
+ * DOM-free converters between the graph data the page and the search engine
+ * use ({ nodes, links }, see data/cities.json) and standard graph formats:
+ *
+ *   json    - our own { nodes, links } JSON
+ *   geojson - a FeatureCollection of Point (city) and LineString (road) features
+ *   csv     - a node table (id, type, lat, lon) and an edge table
+ *             (source, target, distance, roadClass, speedLimit, toll)
+ *   dot     - Graphviz DOT; node and edge attributes carry the fields
+ *   graphml - GraphML with <key> declarations for the fields
+ *
+ * Imported roads that are listed in one direction only get their reverse
+ * listing added right after them, as in cities.json; exports list every road
+ * once. Imports are not validated here: pass the result to
+ * SearchEngine.validateGraphData before using it.
+ */
+(function (root) {
+    const SearchEngine = typeof module !== 'undefined' && module.exports
+        ? require('./search-engine.js')
+        : root.SearchEngine;
+
+    const NODE_FIELDS = ['id', 'type', 'lat', 'lon'];
+    const LINK_FIELDS = ['source', 'target', 'distance', 'roadClass', 'speedLimit', 'toll'];
+    const NUMERIC_FIELDS = new Set(['lat', 'lon', 'distance', 'speedLimit', 'toll']);
+    // Degrees within which a LineString end point snaps to a city
+    const SNAP_TOLERANCE = 1e-6;
+
+    const formats = {
+        'json': { label: 'JSON (nodes/links)', extensions: ['json'], mimeType: 'application/json' },
+        'geojson': { label: 'GeoJSON', extensions: ['geojson'], mimeType: 'application/geo+json' },
+        'csv': { label: 'CSV node + edge tables', extensions: ['csv'], mimeType: 'text/csv' },
+        'dot': { label: 'Graphviz DOT', extensions: ['dot', 'gv'], mimeType: 'text/vnd.graphviz' },
+        'graphml': { label: 'GraphML', extensions: ['graphml', 'xml'], mimeType: 'application/graphml+xml' }
+    };
+
+    // ========================================================================
+    // SHARED HELPERS
+    // ========================================================================
+
+    /**
+     * Copy the known fields of a node or link, turning numeric strings into
+     * numbers. Empty and missing values are left out.
+     */
+    function pickFields(source, fields) {
+        const result = {};
+        fields.forEach(field => {
+            let value = source[field];
+            if (value === undefined || value === null || value === '') return;
+            if (NUMERIC_FIELDS.has(field) && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+                value = Number(value);
+            }
+            result[field] = value;
+        });
+        return result;
+    }
+
+    const roadKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+    /**
+     * List every road in both directions, as cities.json does: a missing
+     * reverse listing is added right after the road
+     */
+    function addReverseLinks(links) {
+        const listed = new Set(links.map(link => `${link.source}\u0000${link.target}`));
+        const result = [];
+        links.forEach(link => {
+            result.push(link);
+            const reverse = `${link.target}\u0000${link.source}`;
+            if (!listed.has(reverse)) {
+                listed.add(reverse);
+                result.push({ ...link, source: link.target, target: link.source });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * The first listing of every road, for formats that list each road once
+     */
+    function uniqueRoads(links) {
+        const seen = new Set();
+        return links.filter(link => {
+            const key = roadKey(link.source, link.target);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // ========================================================================
+    // GEOJSON
+    // ========================================================================
+
+    /**
+     * Cities from Point features ({ id, type } properties; the feature id or a
+     * `name` property also name a city) and roads from LineString features.
+     * A road without `source`/`target` properties connects the cities at its
+     * end points, and one without a `distance` is as long as its line.
+     */
+    function fromGeoJson(text) {
+        const collection = JSON.parse(text);
+        if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+            throw new Error('GeoJSON must be a FeatureCollection');
+        }
+        const nodes = [];
+        const lines = [];
+        collection.features.forEach((feature, index) => {
+            const geometry = feature && feature.geometry;
+            const properties = (feature && feature.properties) || {};
+            if (!geometry) throw new Error(`Feature ${index + 1} has no geometry`);
+            if (geometry.type === 'Point') {
+                const [lon, lat] = geometry.coordinates || [];
+                nodes.push(pickFields({ id: properties.id ?? feature.id ?? properties.name, type: properties.type, lat, lon }, NODE_FIELDS));
+            } else if (geometry.type === 'LineString') {
+                lines.push({ number: index + 1, coordinates: geometry.coordinates || [], properties });
+            } else {
+                throw new Error(`Feature ${index + 1} is a ${geometry.type}; only Point and LineString features are supported`);
+            }
+        });
+
+        const nodeAt = point => nodes.find(node =>
+            Math.abs(node.lon - point[0]) <= SNAP_TOLERANCE && Math.abs(node.lat - point[1]) <= SNAP_TOLERANCE);
+        const links = lines.map(({ number, coordinates, properties }) => {
+            if (coordinates.length < 2) throw new Error(`Feature ${number} needs at least two coordinates`);
+            const ends = [coordinates[0], coordinates[coordinates.length - 1]];
+            const [source, target] = ['source', 'target'].map((end, i) => {
+                if (properties[end] !== undefined) return properties[end];
+                const node = nodeAt(ends[i]);
+                if (!node) throw new Error(`Feature ${number} has no ${end} property and no city at its ${i === 0 ? 'first' : 'last'} point`);
+                return node.id;
+            });
+            let distance = properties.distance;
+            if (distance === undefined) {
+                let length = 0;
+                for (let i = 1; i < coordinates.length; i++) {
+                    length += SearchEngine.haversineDistance(
+                        { lon: coordinates[i - 1][0], lat: coordinates[i - 1][1] },
+                        { lon: coordinates[i][0], lat: coordinates[i][1] });
+                }
+                distance = Math.round(length * 10) / 10;
+            }
+            return pickFields({ ...properties, source, target, distance }, LINK_FIELDS);
+        });
+        return { nodes, links: addReverseLinks(links) };
+    }
+
+    function toGeoJson(graph) {
+        const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+        const features = [
+            ...graph.nodes.map(node => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [node.lon, node.lat] },
+                properties: { id: node.id, type: node.type }
+            })),
+            ...uniqueRoads(graph.links).map(link => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [link.source, link.target].map(id => [nodeById.get(id).lon, nodeById.get(id).lat])
+                },
+                properties: pickFields(link, LINK_FIELDS)
+            }))
+        ];
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    }
+
+    // ========================================================================
+    // CSV
+    // ========================================================================
+
+    /**
+     * Rows of a CSV text (RFC 4180: quoted fields may hold commas, quotes
+     * doubled, and line breaks). Blank lines are skipped.
+     */
+    function parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                if (row.some(value => value !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) throw new Error('CSV has an unterminated quoted field');
+        row.push(field);
+        if (row.some(value => value !== '')) rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Objects keyed by the (trimmed, case-insensitive) header of a CSV table
+     */
+    function parseCsvTable(text, fields) {
+        const [header = [], ...rows] = parseCsvRows(text.replace(/^\ufeff/, ''));
+        const columns = header.map(name => fields.find(field => field.toLowerCase() === name.trim().toLowerCase()));
+        return rows.map(values => {
+            const record = {};
+            columns.forEach((field, i) => {
+                if (field) record[field] = (values[i] || '').trim();
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Whether a CSV text is a node table (its header has id, lat and lon) or
+     * an edge table (source and target); null for neither
+     */
+    function csvTableKind(text) {
+        const [header = []] = parseCsvRows(text.replace(/^\ufeff/, '').split(/\r?\n/, 1)[0]);
+        const names = new Set(header.map(name => name.trim().toLowerCase()));
+        if (['id', 'lat', 'lon'].every(name => names.has(name))) return 'nodes';
+        if (['source', 'target'].every(name => names.has(name))) return 'edges';
+        return null;
+    }
+
+    function fromCsv(nodesText, edgesText) {
+        return {
+            nodes: parseCsvTable(nodesText, NODE_FIELDS).map(record => pickFields(record, NODE_FIELDS)),
+            links: addReverseLinks(parseCsvTable(edgesText, LINK_FIELDS).map(record => pickFields(record, LINK_FIELDS)))
+        };
+    }
+
+    function csvValue(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * The node and edge tables, each with a header row
+     */
+    function toCsv(graph) {
+        const table = (records, fields) => [fields, ...records.map(record => fields.map(field => record[field]))]
+            .map(values => values.map(csvValue).join(','))
+            .join('\n') + '\n';
+        return {
+            nodes: table(graph.nodes, NODE_FIELDS),
+            edges: table(uniqueRoads(graph.links), LINK_FIELDS)
+        };
+    }
+
+    // ========================================================================
+    // GRAPHVIZ DOT
+    // ========================================================================
+
+    /**
+     * Tokens of a DOT text: { type: 'id' | 'op', value, quoted? }. Quoted and
+     * HTML strings become ids flagged `quoted`, which are never keywords;
+     * comments and preprocessor lines are skipped.
+     */
+    function tokenizeDot(text) {
+        const tokens = [];
+        const bareId = /(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))/y;
+        let i = 0;
+        // Only whitespace since the last line break: preprocessor lines start with # (after indentation)
+        let atLineStart = true;
+        while (i < text.length) {
+            const char = text[i];
+            if (/\s/.test(char)) {
+                if (char === '\n') atLineStart = true;
+                i++;
+                continue;
+            }
+            if (text.startsWith('//', i) || (char === '#' && atLineStart)) {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            atLineStart = false;
+            if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                if (end < 0) throw new Error('DOT has an unterminated comment');
+                i = end + 2;
+            } else if (text.startsWith('--', i) || text.startsWith('->', i)) {
+                tokens.push({ type: 'op', value: text.slice(i, i + 2) });
+                i += 2;
+            } else if ('{}[]=;,:'.includes(char)) {
+                tokens.push({ type: 'op', value: char });
+                i++;
+            } else if (char === '"') {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    // dotId escapes quotes and backslashes, so a name may end in one
+                    if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+                        value += text[i + 1];
+                        i += 2;
+                    } else if (text[i] === '\\' && text[i + 1] === '\n') {
+                        i += 2; // line continuation
+                    } else {
+                        value += text[i++];
+                    }
+                }
+                if (i >= text.length) throw new Error('DOT has an unterminated string');
+                i++;
+                tokens.push({ type: 'id', value, quoted: true });
+            } else if (char === '<') {
+                let depth = 0;
+                const start = i;
+                do {
+                    if (text[i] === '<') depth++;
+                    else if (text[i] === '>') depth--;
+                    i++;
+                } while (i < text.length && depth > 0);
+                if (depth > 0) throw new Error('DOT has an unterminated HTML string');
+                tokens.push({ type: 'id', value: text.slice(start + 1, i - 1), quoted: true });
+            } else if (char === '+') {
+                tokens.push({ type: 'op', value: '+' });
+                i++;
+            } else {
+                bareId.lastIndex = i;
+                const match = bareId.exec(text);
+                if (!match) throw new Error(`DOT has an unexpected character "${char}"`);
+                tokens.push({ type: 'id', value: match[0] });
+                i += match[0].length;
+            }
+        }
+        // "a" + "b" is one string
+        for (let t = tokens.length - 2; t > 0; t--) {
+            if (tokens[t].type === 'op' && tokens[t].value === '+' && tokens[t - 1].type === 'id' && tokens[t + 1].type === 'id') {
+                tokens.splice(t - 1, 3, { type: 'id', value: tokens[t - 1].value + tokens[t + 1].value, quoted: true });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Cities and roads of a DOT graph or digraph. Node attributes `type`,
+     * `lat` and `lon` and edge attributes `distance` (else a numeric `weight`
+     * or `label`), `roadClass`, `speedLimit` and `toll` become fields; default
+     * `node [...]` / `edge [...]` attributes and subgraphs are supported.
+     * Edge direction is ignored: every edge is a two-way road.
+     */
+    function fromDot(text) {
+        const tokens = tokenizeDot(text);
+        let position = 0;
+        const peek = () => tokens[position];
+        const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+        const isKeyword = word => peek() && peek().type === 'id' && !peek().quoted && peek().value.toLowerCase() === word;
+        const next = () => {
+            if (position >= tokens.length) throw new Error('DOT ends unexpectedly');
+            return tokens[position++];
+        };
+        const expectOp = value => {
+            const token = next();
+            if (token.type !== 'op' || token.value !== value) {
+                throw new Error(`DOT expected "${value}" but found "${token.value}"`);
+            }
+        };
+        const expectId = () => {
+            const token = next();
+            if (token.type !== 'id') throw new Error(`DOT expected a name but found "${token.value}"`);
+            return token.value;
+        };
+
+        const nodeAttributes = new Map(); // id -> attributes, in order of appearance
+        const edges = [];
+
+        function attributeList() {
+            const attributes = {};
+            while (isOp('[')) {
+                next();
+                while (!isOp(']')) {
+                    const key = expectId();
+                    expectOp('=');
+                    attributes[key] = expectId();
+                    if (isOp(';') || isOp(',')) next();
+                }
+                next();
+            }
+            return attributes;
+        }
+
+        function declareNode(id, attributes) {
+            if (!nodeAttributes.has(id)) nodeAttributes.set(id, {});
+            Object.assign(nodeAttributes.get(id), attributes);
+        }
+
+        // A node id (ports are dropped) or a subgraph; returns the node ids
+        function endpoint(defaults) {
+            if (isOp('{') || isKeyword('subgraph')) return subgraph(defaults);
+            const id = expectId();
+            if (isOp(':')) {
+                next();
+                expectId();
+                if (isOp(':')) {
+                    next();
+                    expectId();
+                }
+            }
+            return [id];
+        }
+
+        function subgraph(defaults) {
+            if (isKeyword('subgraph')) {
+                next();
+                if (peek() && peek().type === 'id') next();
+            }
+            expectOp('{');
+            const ids = statements({ node: { ...defaults.node }, edge: { ...defaults.edge } });
+            expectOp('}');
+            return ids;
+        }
+
+        // Statements up to the closing brace; returns the node ids they mention
+        function statements(defaults) {
+            const ids = new Set();
+            while (peek() && !isOp('}')) {
+                if (isOp(';')) {
+                    next();
+                    continue;
+                }
+                if (isKeyword('node') || isKeyword('edge') || isKeyword('graph')) {
+                    const kind = next().value.toLowerCase();
+                    const attributes = attributeList();
+                    if (kind !== 'graph') Object.assign(defaults[kind], attributes);
+                    continue;
+                }
+                if (peek().type === 'id' && tokens[position + 1] && tokens[position + 1].type === 'op' && tokens[position + 1].value === '=') {
+                    position += 3; // graph attribute a = b
+                    continue;
+                }
+                const isSubgraph = isOp('{') || isKeyword('subgraph');
+                const chain = [endpoint(defaults)];
+                while (isOp('--') || isOp('->')) {
+                    next();
+                    chain.push(endpoint(defaults));
+                }
+                const attributes = attributeList();
+                if (chain.length === 1) {
+                    // A subgraph statement declared its nodes itself
+                    chain[0].forEach(id => {
+                        if (!isSubgraph) declareNode(id, { ...defaults.node, ...attributes });
+                        ids.add(id);
+                    });
+                    continue;
+                }
+                chain.flat().forEach(id => {
+                    if (!nodeAttributes.has(id)) declareNode(id, { ...defaults.node });
+                    ids.add(id);
+                });
+                for (let i = 1; i < chain.length; i++) {
+                    chain[i - 1].forEach(source => chain[i].forEach(target => {
+                        edges.push({ source, target, ...defaults.edge, ...attributes });
+                    }));
+                }
+            }
+            return [...ids];
+        }
+
+        if (isKeyword('strict')) next();
+        if (!isKeyword('graph') && !isKeyword('digraph')) {
+            throw new Error('DOT must start with "graph" or "digraph"');
+        }
+        next();
+        if (peek() && peek().type === 'id') next();
+        expectOp('{');
+        statements({ node: {}, edge: {} });
+        expectOp('}');
+
+        const isNumeric = value => value !== undefined && value !== '' && !Number.isNaN(Number(value));
+        const nodes = [...nodeAttributes].map(([id, attributes]) => pickFields({ ...attributes, id }, NODE_FIELDS));
+        const links = edges.map(edge => {
+            const distance = [edge.distance, edge.weight, edge.label].find(isNumeric) ?? edge.distance;
+            return pickFields({ ...edge, distance }, LINK_FIELDS);
+        });
+        return { nodes, links: addReverseLinks(links) };
+    }
+
+    function dotId(value) {
+        return /^(?:[A-Za-z_][\w]*|-?(?:\.\d+|\d+(?:\.\d*)?))$/.test(String(value))
+            && !['node', 'edge', 'graph', 'digraph', 'subgraph', 'strict'].includes(String(value).toLowerCase())
+            ? String(value)
+            : `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    function dotAttributes(record, fields, extra = []) {
+        const attributes = fields.filter(field => record[field] !== undefined)
+            .map(field => `${field}=${dotId(record[field])}`)
+            .concat(extra);
+        return attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+    }
+
+    /**
+     * An undirected DOT graph; roads are labelled with their distance so
+     * Graphviz shows it
+     */
+    function toDot(graph) {
+        const lines = ['graph cities {'];
+        graph.nodes.forEach(node => {
+            lines.push(`    ${dotId(node.id)}${dotAttributes(node, NODE_FIELDS.slice(1))};`);
+        });
+        uniqueRoads(graph.links).forEach(link => {
+            const label = link.distance !== undefined ? [`label=${dotId(`${link.distance} km`)}`] : [];
+            lines.push(`    ${dotId(link.source)} -- ${dotId(link.target)}${dotAttributes(link, LINK_FIELDS.slice(2), label)};`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    // ========================================================================
+    // GRAPHML
+    // ========================================================================
+
+    const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+    function decodeXml(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+            }
+            return XML_ENTITIES[entity] ?? match;
+        });
+    }
+
+    function encodeXml(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Element tree of an XML text: { name, attributes, children, text }.
+     * Namespace prefixes are dropped from element names.
+     */
+    function parseXml(text) {
+        const document = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [document];
+        const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gy;
+        const localName = name => name.slice(name.indexOf(':') + 1);
+        let offset = 0;
+        let match;
+        while (offset < text.length && (match = pattern.exec(text))) {
+            offset = pattern.lastIndex;
+            const [, cdata, closing, opening, attributeText, selfClosing, characters] = match;
+            const current = stack[stack.length - 1];
+            if (cdata !== undefined) {
+                current.text += cdata;
+            } else if (characters !== undefined) {
+                current.text += decodeXml(characters);
+            } else if (closing) {
+                if (stack.length === 1 || current.name !== localName(closing)) {
+                    throw new Error(`GraphML has an unexpected closing tag </${closing}>`);
+                }
+                stack.pop();
+            } else if (opening) {
+                const attributes = {};
+                attributeText.replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, name, double, single) => {
+                    attributes[localName(name)] = decodeXml(double ?? single);
+                });
+                const element = { name: localName(opening), attributes, children: [], text: '' };
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+        if (offset < text.length) throw new Error('GraphML is not well-formed XML');
+        if (stack.length > 1) throw new Error(`GraphML has an unclosed <${stack[stack.length - 1].name}>`);
+        return document;
+    }
+
+    /**
+     * Cities and roads of the first <graph> of a GraphML document. <data>
+     * values are matched to fields through the `attr.name` of their <key>
+     * (edge weights stand in for a missing distance) and typed by `attr.type`.
+     */
+    function fromGraphMl(text) {
+        const graphml = parseXml(text).children.find(element => element.name === 'graphml');
+        if (!graphml) throw new Error('GraphML must have a <graphml> root element');
+        const graph = graphml.children.find(element => element.name === 'graph');
+        if (!graph) throw new Error('GraphML has no <graph> element');
+
+        const keys = new Map();
+        graphml.children.filter(element => element.name === 'key').forEach(key => {
+            const defaultElement = key.children.find(element => element.name === 'default');
+            keys.set(key.attributes.id, {
+                for: key.attributes.for || 'all',
+                name: key.attributes['attr.name'] || key.attributes.id,
+                type: key.attributes['attr.type'] || 'string',
+                default: defaultElement ? defaultElement.text.trim() : undefined
+            });
+        });
+        const typed = (key, value) => {
+            if (['int', 'long', 'float', 'double'].includes(key.type)) return Number(value);
+            if (key.type === 'boolean') return value === 'true';
+            return value;
+        };
+        const dataOf = (element, kind) => {
+            const values = {};
+            keys.forEach(key => {
+                if ((key.for === kind || key.for === 'all') && key.default !== undefined) {
+                    values[key.name] = typed(key, key.default);
+                }
+            });
+            element.children.filter(child => child.name === 'data').forEach(data => {
+                const key = keys.get(data.attributes.key);
+                if (key) values[key.name] = typed(key, data.text.trim());
+            });
+            return values;
+        };
+
+        const nodes = graph.children.filter(element => element.name === 'node')
+            .map(node => pickFields({ ...dataOf(node, 'node'), id: node.attributes.id }, NODE_FIELDS));
+        const links = graph.children.filter(element => element.name === 'edge').map(edge => {
+            const values = dataOf(edge, 'edge');
+            return pickFields({
+                ...values,
+                source: edge.attributes.source,
+                target: edge.attributes.target,
+                distance: values.distance ?? values.weight
+            }, LINK_FIELDS);
+        });
+        return { nodes, links: addReverseLinks(links) };
+    }
+
+    function toGraphMl(graph) {
+        const keyType = field => (NUMERIC_FIELDS.has(field) ? 'double' : 'string');
+        const keyLines = [
+            ...NODE_FIELDS.slice(1).map(field => `  <key id="${field}" for="node" attr.name="${field}" attr.type="${keyType(field)}"/>`),
+            ...LINK_FIELDS.slice(2).map(field => `  <key id="${field}" for="edge" attr.name="${field}" attr.type="${keyType(field)}"/>`)
+        ];
+        const dataLines = (record, fields) => fields.filter(field => record[field] !== undefined)
+            .map(field => `      <data key="${field}">${encodeXml(record[field])}</data>`);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            ...keyLines,
+            '  <graph id="cities" edgedefault="undirected">'
+        ];
+        graph.nodes.forEach(node => {
+            lines.push(`    <node id="${encodeXml(node.id)}">`, ...dataLines(node, NODE_FIELDS.slice(1)), '    </node>');
+        });
+        uniqueRoads(graph.links).forEach(link => {
+            lines.push(`    <edge source="${encodeXml(link.source)}" target="${encodeXml(link.target)}">`,
+                ...dataLines(link, LINK_FIELDS.slice(2)), '    </edge>');
+        });
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Format of a file from its extension; .json files holding a GeoJSON
+     * FeatureCollection are GeoJSON. Returns null for unknown extensions.
+     */
+    function detectFormat(fileName, text = '') {
+        const extension = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+        const format = Object.keys(formats).find(name => formats[name].extensions.includes(extension)) || null;
+        if (format === 'json' && /"type"\s*:\s*"FeatureCollection"/.test(text)) return 'geojson';
+        return format;
+    }
+
+    /**
+     * Graph data ({ nodes, links }) from files [{ name, text }]: one file of a
+     * known format, or the node and edge tables of a CSV import (told apart by
+     * their headers). Throws on unreadable files.
+     */
+    function importGraph(files) {
+        const described = files.map(file => ({ ...file, format: detectFormat(file.name, file.text) }));
+        const unknown = described.filter(file => !file.format);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown graph format: ${unknown.map(file => file.name).join(', ')} (use ${Object.values(formats)
+                .flatMap(format => format.extensions.map(extension => `.${extension}`)).join(', ')})`);
+        }
+        if (described.every(file => file.format === 'csv')) {
+            const tables = {};
+            described.forEach(file => {
+                const kind = csvTableKind(file.text);
+                if (!kind) throw new Error(`${file.name} is neither a node table (id, type, lat, lon) nor an edge table (source, target, distance)`);
+                if (tables[kind]) throw new Error(`Both ${tables[kind].name} and ${file.name} are ${kind === 'nodes' ? 'node' : 'edge'} tables`);
+                tables[kind] = file;
+            });
+            if (!tables.nodes || !tables.edges) {
+                throw new Error('A CSV import needs a node table (id, type, lat, lon) and an edge table (source, target, distance); select both files');
+            }
+            return fromCsv(tables.nodes.text, tables.edges.text);
+        }
+        if (described.length !== 1) throw new Error('Choose one graph file, or a CSV node table and edge table');
+        const [{ format, text }] = described;
+        switch (format) {
+            case 'json': return JSON.parse(text);
+            case 'geojson': return fromGeoJson(text);
+            case 'dot': return fromDot(text);
+            default: return fromGraphMl(text);
+        }
+    }
+
+    /**
+     * Files [{ filename, contents, mimeType }] of graph data in a format named
+     * `baseName` plus the format's extension (CSV writes two tables)
+     */
+    function exportGraph(format, graph, baseName = 'cities') {
+        const { mimeType, extensions: [extension] } = formats[format] || {};
+        const file = (contents, suffix = '') => ({ filename: `${baseName}${suffix}.${extension}`, contents, mimeType });
+        switch (format) {
+            case 'json': return [file(JSON.stringify(graph, null, 2))];
+            case 'geojson': return [file(toGeoJson(graph))];
+            case 'csv': {
+                const tables = toCsv(graph);
+                return [file(tables.nodes, '-nodes'), file(tables.edges, '-edges')];
+            }
+            case 'dot': return [file(toDot(graph))];
+            case 'graphml': return [file(toGraphMl(graph))];
+            default: throw new Error(`Unknown graph format: ${format}`);
+        }
+    }
+
+    const GraphFormats = {
+        formats,
+        detectFormat,
+        importGraph,
+        exportGraph,
+        fromGeoJson,
+        toGeoJson,
+        fromCsv,
+        toCsv,
+        fromDot,
+        toDot,
+        fromGraphMl,
+        toGraphMl
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GraphFormats;
+    } else {
+        root.GraphFormats = GraphFormats;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -8,11 +8,24 @@
 
 // Global variables
 let graphData = null;
+let fullGraph = null; // SearchEngine graph wrapper around graphData
+let searchGraph = null; // fullGraph with the closed cities and roads removed
+let closedCities = new Set(); // cities closed by clicking them on the map
+let closedRoads = new Map(); // road key (see getRoadKey) -> [cityA, cityB]
+let activeHeuristic = null; // pairwise h(n, goal) chosen in the heuristic selector
+let heuristicTable = {}; // hand-entered h(n) per city for the custom table heuristic
 let svg = null;
 let simulation = null;
 let isSearchRunning = false;
 let isPaused = false;
 let currentAnimation = null;
+let searchTrace = null; // { algorithm, events, result } of the last run
+let traceIndex = 0; // number of trace events currently applied to the map
+let traceRenderId = 0; // bumped whenever the timeline jumps to a step
+let benchmarkRows = null; // rows of the last benchmark, in the table's order
+let benchmarkSort = { key: null, descending: false }; // column the benchmark table is sorted by
+let comparison = null; // { twins, step } of the latest side-by-side comparison
+let graphEditor = null; // { tool, selection, roadStart, undoStack, redoStack } while the map is in edit mode
 
 // Graph dimensions and scales
 const margin = { top: 20, right: 20, bottom: 20, left: 20 };
@@ -23,6 +36,23 @@ let xScale, yScale;
 const ANIMATION_DELAY = 500; // 500ms delay between steps
 const NODE_RADIUS = 8;
 
+// Algorithms that order nodes by f(n) = g(n) + h(n), and all heuristic-guided ones
+const F_COST_ALGORITHMS = ['astar', 'idastar', 'rbfs'];
+const HEURISTIC_ALGORITHMS = ['greedy', ...F_COST_ALGORITHMS, 'bidirectional-astar', 'dstar-lite'];
+// Algorithms that search from both ends (single goal only)
+const BIDIRECTIONAL_ALGORITHMS = ['bidirectional', 'bidirectional-ucs', 'bidirectional-astar'];
+// Map classes for the forward/backward frontiers and explored sets of bidirectional runs
+const DIRECTION_CLASSES = 'frontier-forward frontier-backward closed-forward closed-backward';
+// Map classes of D* Lite runs: the current plan and the road that closed en route
+const REPLANNING_LINK_CLASSES = 'planned closed-en-route';
+// Expansions after which a tree or path-checking search gives up in the UI (every step is recorded)
+const UI_MAX_EXPANSIONS = 300;
+const SEARCH_MODE_NAMES = {
+    'graph': 'Graph search (explored set)',
+    'tree': 'Tree search (no repeated-state checks)',
+    'path-checking': 'Path checking (no cycles)'
+};
+
 /**
  * Initialize the application when the DOM is loaded
  */
@@ -40,13 +70,7 @@ async function initializeApp() {
     try {
         // Load city data
         const response = await fetch('data/cities.json');
-        graphData = await response.json();
-        
-        // Setup graph visualization
-        setupGraph();
-        
-        // Populate city dropdowns
-        populateCityDropdowns();
+        loadGraphData(await response.json());
         
         console.log('Application initialized successfully');
     } catch (error) {
@@ -63,7 +87,6 @@ function setupEventListeners() {
     document.getElementById('algorithm').addEventListener('change', function() {
         const algorithm = this.value;
         const depthLimitContainer = document.getElementById('depthLimitContainer');
-        const secondaryGoalContainer = document.getElementById('secondaryGoalContainer');
         
         // Show depth limit input for DLS
         if (algorithm === 'dls') {
@@ -72,19 +95,141 @@ function setupEventListeners() {
             depthLimitContainer.classList.add('hidden');
         }
 
-        // Hide secondary goal for Bidirectional
-        if (secondaryGoalContainer) {
-            if (algorithm === 'bidirectional') {
-                secondaryGoalContainer.classList.add('hidden');
-            } else {
-                secondaryGoalContainer.classList.remove('hidden');
-            }
+        // Show the closure step input for D* Lite replanning
+        const closeAfterStepsContainer = document.getElementById('closeAfterStepsContainer');
+        if (closeAfterStepsContainer) {
+            closeAfterStepsContainer.classList.toggle('hidden', algorithm !== 'dstar-lite');
+        }
+
+        // Show heuristic weight input for (weighted) A*
+        const heuristicWeightContainer = document.getElementById('heuristicWeightContainer');
+        if (heuristicWeightContainer) {
+            heuristicWeightContainer.classList.toggle('hidden', algorithm !== 'astar');
+        }
+
+        // Show heuristic selection for informed search
+        const heuristicContainer = document.getElementById('heuristicContainer');
+        if (heuristicContainer) {
+            heuristicContainer.classList.toggle('hidden', !HEURISTIC_ALGORITHMS.includes(algorithm));
         }
 
         // Update heuristic labels when algorithm changes
         updateHeuristicLabelsForGraph();
     });
 
+    // Heuristic selection and checking
+    ['heuristic', 'heuristicScale'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('change', function() {
+                updateActiveHeuristic();
+                updateHeuristicLabelsForGraph();
+                clearHeuristicCheck();
+            });
+        }
+    });
+    if (document.getElementById('costModel')) {
+        document.getElementById('costModel').addEventListener('change', updateCostModel);
+    }
+    if (document.getElementById('successorOrder')) {
+        document.getElementById('successorOrder').addEventListener('change', updateOrderSeedVisibility);
+        updateOrderSeedVisibility();
+    }
+    if (document.getElementById('clearClosuresBtn')) {
+        document.getElementById('clearClosuresBtn').addEventListener('click', () => setClosures());
+    }
+    if (document.getElementById('findRoutesBtn')) {
+        document.getElementById('findRoutesBtn').addEventListener('click', findAlternativeRoutes);
+    }
+    if (document.getElementById('findParetoBtn')) {
+        document.getElementById('findParetoBtn').addEventListener('click', findParetoRoutes);
+    }
+    if (document.getElementById('runBenchmarkBtn')) {
+        document.getElementById('runBenchmarkBtn').addEventListener('click', runBenchmark);
+    }
+    if (document.getElementById('compareBtn')) {
+        populateCompareSelects();
+        document.getElementById('compareBtn').addEventListener('click', startComparison);
+    }
+    if (document.getElementById('checkHeuristicBtn')) {
+        document.getElementById('checkHeuristicBtn').addEventListener('click', checkSelectedHeuristic);
+    }
+    if (document.getElementById('fillHeuristicTableBtn')) {
+        document.getElementById('fillHeuristicTableBtn').addEventListener('click', () => fillHeuristicTable(true));
+    }
+    if (document.getElementById('clearHeuristicTableBtn')) {
+        document.getElementById('clearHeuristicTableBtn').addEventListener('click', () => fillHeuristicTable(false));
+    }
+
+    // Scenario save/load
+    if (document.getElementById('saveScenarioBtn')) {
+        document.getElementById('saveScenarioBtn').addEventListener('click', saveScenario);
+    }
+    if (document.getElementById('scenarioFile')) {
+        document.getElementById('scenarioFile').addEventListener('change', function() {
+            if (this.files && this.files[0]) loadScenarioFile(this.files[0]);
+            this.value = '';
+        });
+    }
+
+    // Custom graph upload, or drop the file(s) onto the map, and export
+    if (document.getElementById('graphFile')) {
+        document.getElementById('graphFile').addEventListener('change', function() {
+            if (this.files && this.files.length > 0) loadGraphFiles(Array.from(this.files));
+            this.value = '';
+        });
+    }
+    if (document.getElementById('downloadGraphBtn')) {
+        document.getElementById('downloadGraphBtn').addEventListener('click', () =>
+            exportGraph(document.getElementById('graphExportFormat').value));
+    }
+    const mapContainer = getMainMapContainer();
+    mapContainer.addEventListener('dragover', event => {
+        event.preventDefault();
+        mapContainer.classList.add('drop-target');
+    });
+    mapContainer.addEventListener('dragleave', () => mapContainer.classList.remove('drop-target'));
+    mapContainer.addEventListener('drop', event => {
+        event.preventDefault();
+        mapContainer.classList.remove('drop-target');
+        const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+        if (files.length > 0) loadGraphFiles(files);
+    });
+
+    // Graph editor
+    if (document.getElementById('editGraphBtn')) {
+        document.getElementById('editGraphBtn').addEventListener('click', toggleGraphEditor);
+        document.getElementById('finishEditBtn').addEventListener('click', toggleGraphEditor);
+        document.getElementById('editTool').addEventListener('change', function() { setEditorTool(this.value); });
+        document.getElementById('editUndoBtn').addEventListener('click', () => stepGraphEdit(-1));
+        document.getElementById('editRedoBtn').addEventListener('click', () => stepGraphEdit(1));
+        document.getElementById('exportGraphBtn').addEventListener('click', () => exportGraph('json'));
+        document.getElementById('editCityName').addEventListener('change', function() {
+            if (!renameEditorCity(graphEditor.selection.city, this.value)) this.value = graphEditor.selection.city;
+        });
+        document.getElementById('editCityType').addEventListener('change', function() {
+            setEditorCityType(graphEditor.selection.city, this.value);
+        });
+        document.getElementById('editRoadDistance').addEventListener('change', function() {
+            const [cityA, cityB] = graphEditor.selection.road;
+            if (!setEditorRoadDistance(cityA, cityB, parseFloat(this.value))) {
+                this.value = getLinkByNodes(cityA, cityB).distance;
+            }
+        });
+        // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) and Delete, unless typing in a field
+        document.addEventListener('keydown', event => {
+            if (!graphEditor || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            const key = event.key.toLowerCase();
+            if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+                event.preventDefault();
+                stepGraphEdit(key === 'y' || event.shiftKey ? 1 : -1);
+            } else if (key === 'delete' || key === 'backspace') {
+                event.preventDefault();
+                deleteEditorSelection();
+            }
+        });
+    }
+
     // Search button
     document.getElementById('startSearch').addEventListener('click', startSearch);
     
@@ -99,6 +244,23 @@ function setupEventListeners() {
         document.getElementById('resetBtn').addEventListener('click', resetAll);
     }
     
+    // Timeline controls
+    if (document.getElementById('replayBtn')) {
+        document.getElementById('replayBtn').addEventListener('click', replaySearchTrace);
+    }
+    if (document.getElementById('stepBackBtn')) {
+        document.getElementById('stepBackBtn').addEventListener('click', () => stepTrace(-1));
+    }
+    if (document.getElementById('stepForwardBtn')) {
+        document.getElementById('stepForwardBtn').addEventListener('click', () => stepTrace(1));
+    }
+    if (document.getElementById('timelineSlider')) {
+        document.getElementById('timelineSlider').addEventListener('input', function() {
+            if (isSearchRunning && !isPaused) pauseSearch();
+            renderTraceStep(parseInt(this.value, 10) || 0);
+        });
+    }
+    
     // Hide/Show Results Panel
     const toggleBtn = document.getElementById('toggleResultsPanel');
     const resultsPanel = document.getElementById('resultsPanel');
@@ -115,27 +277,41 @@ function setupEventListeners() {
         });
     }
 
-    // Update heuristic labels when goals change
-    const destSel = document.getElementById('destCity');
-    if (destSel) destSel.addEventListener('change', updateHeuristicLabelsForGraph);
-    const dest2Sel = document.getElementById('secondaryDestCity');
-    if (dest2Sel) dest2Sel.addEventListener('change', updateHeuristicLabelsForGraph);
+    // Goal shortcuts
+    if (document.getElementById('selectAllGoalsBtn')) {
+        document.getElementById('selectAllGoalsBtn').addEventListener('click', () => setSelectedGoals(getDecCityIds()));
+    }
+    if (document.getElementById('clearGoalsBtn')) {
+        document.getElementById('clearGoalsBtn').addEventListener('click', () => setSelectedGoals([]));
+    }
+
+    // Update heuristic labels when goals change; an earlier heuristic check no longer applies
+    const goalSel = document.getElementById('goalCities');
+    if (goalSel) {
+        goalSel.addEventListener('change', updateHeuristicLabelsForGraph);
+        goalSel.addEventListener('change', clearHeuristicCheck);
+        goalSel.addEventListener('change', renderHeuristicTable);
+    }
 }
 
 /**
-        if (document.getElementById('secondaryDestCity')) {
-            document.getElementById('secondaryDestCity').addEventListener('change', renderTreeSearchGraph);
-        }
+ * Draw the cities and roads into a map container, the main map by default.
+ * Twin maps pass an id prefix so their element ids stay unique, and are not
+ * interactive: clicking them does not close cities or roads. Clicks on an
+ * interactive map go to the graph editor while it is open, and the editor
+ * passes the current { lon, lat } domains so cities stay where they were put.
+ * Returns the SVG, its drawing size, the lon/lat scales and the zoom behavior.
  */
-function setupGraph() {
-    const container = document.getElementById('graphContainer');
+function setupGraph(container = getMainMapContainer(), { idPrefix = '', interactive = true, domains = null } = {}) {
     const containerRect = container.getBoundingClientRect();
     
-    width = containerRect.width - margin.left - margin.right;
-    height = containerRect.height - margin.top - margin.bottom;
+    const width = containerRect.width - margin.left - margin.right;
+    const height = containerRect.height - margin.top - margin.bottom;
+    // Element ids of this map's cities start with the prefix (see selectCityNode)
+    container.dataset.nodeIdPrefix = idPrefix;
     
     // Create SVG
-    svg = d3.select('#graphContainer')
+    const svg = d3.select(container)
         .append('svg')
         .attr('class', 'graph-svg')
         .attr('width', width + margin.left + margin.right)
@@ -152,20 +328,16 @@ function setupGraph() {
     const latPadding = (latExtent[1] - latExtent[0]) * 0.1;
     const lonPadding = (lonExtent[1] - lonExtent[0]) * 0.1;
     
-    xScale = d3.scaleLinear()
-        .domain([lonExtent[0] - lonPadding, lonExtent[1] + lonPadding])
+    const xScale = d3.scaleLinear()
+        .domain(domains ? domains.lon : [lonExtent[0] - lonPadding, lonExtent[1] + lonPadding])
         .range([0, width]);
     
-    yScale = d3.scaleLinear()
-        .domain([latExtent[1] + latPadding, latExtent[0] - latPadding]) // Inverted for map orientation
+    const yScale = d3.scaleLinear()
+        .domain(domains ? domains.lat : [latExtent[1] + latPadding, latExtent[0] - latPadding]) // Inverted for map orientation
         .range([0, height]);
     
-    // Process links for D3.js force simulation
-    const processedLinks = graphData.links.map(d => ({
-        source: d.source,
-        target: d.target,
-        distance: d.distance
-    }));
+    // Process links for D3.js force simulation (road class, speed limit and toll included)
+    const processedLinks = graphData.links.map(d => ({ ...d }));
     
     // Create links
     const links = g.selectAll('.link')
@@ -177,16 +349,35 @@ function setupGraph() {
         .attr('y1', d => yScale(getNodeById(d.source).lat))
         .attr('x2', d => xScale(getNodeById(d.target).lon))
         .attr('y2', d => yScale(getNodeById(d.target).lat));
+
+    // Wider invisible lines over the roads make them easy to click to close
+    if (interactive) {
+        g.selectAll('.link-hit')
+            .data(processedLinks)
+            .enter()
+            .append('line')
+            .attr('class', 'link-hit')
+            .attr('x1', d => xScale(getNodeById(d.source).lon))
+            .attr('y1', d => yScale(getNodeById(d.source).lat))
+            .attr('x2', d => xScale(getNodeById(d.target).lon))
+            .attr('y2', d => yScale(getNodeById(d.target).lat))
+            .on('click', (event, d) => {
+                if (graphEditor) handleEditorRoadClick(d.source, d.target);
+                else toggleRoadClosure(d.source, d.target);
+            })
+            .append('title')
+            .text(d => `${d.source} – ${d.target}: click to close or reopen`);
+    }
     
-    // Create link labels (distances)
+    // Create link labels (edge costs under the selected cost model)
     const linkLabels = g.selectAll('.edge-label')
         .data(processedLinks)
         .enter()
         .append('text')
         .attr('class', 'edge-label')
         .attr('x', d => (xScale(getNodeById(d.source).lon) + xScale(getNodeById(d.target).lon)) / 2)
-        .attr('y', d => (yScale(getNodeById(d.source).lat) + yScale(getNodeById(d.target).lat)) / 2)
-        .text(d => d.distance + 'km');
+        .attr('y', d => (yScale(getNodeById(d.source).lat) + yScale(getNodeById(d.target).lat)) / 2);
+    renderEdgeLabels(container);
     
     // Create nodes
     const nodes = g.selectAll('.node')
@@ -197,7 +388,26 @@ function setupGraph() {
         .attr('r', NODE_RADIUS)
         .attr('cx', d => xScale(d.lon))
         .attr('cy', d => yScale(d.lat))
-        .attr('id', d => `node-${d.id}`);
+        .attr('id', d => `${idPrefix}node-${d.id}`)
+        .on('click', (event, d) => {
+            if (!interactive) return;
+            if (graphEditor) handleEditorCityClick(d.id);
+            else toggleCityClosure(d.id);
+        });
+    if (interactive) {
+        // The editor's Select / Move tool drags cities to new coordinates
+        nodes.call(d3.drag()
+            .filter(event => graphEditor !== null && graphEditor.tool === 'move' && !event.button)
+            .subject((event, d) => ({ x: xScale(d.lon), y: yScale(d.lat) }))
+            .on('drag', (event, d) => moveCityOnMap(d.id, event.x, event.y, container, xScale, yScale))
+            .on('end', (event, d) => moveEditorCity(d.id, xScale.invert(event.x), yScale.invert(event.y))));
+        // ... and its Add City tool places a city where the empty map is clicked
+        svg.on('click', event => {
+            if (!graphEditor || event.target !== svg.node()) return;
+            const [x, y] = d3.pointer(event, g.node());
+            addEditorCity(xScale.invert(x), yScale.invert(y));
+        });
+    }
     
     // Create node labels
     const nodeLabels = g.selectAll('.node-label')
@@ -208,6 +418,9 @@ function setupGraph() {
         .attr('x', d => xScale(d.lon))
         .attr('y', d => yScale(d.lat) - NODE_RADIUS - 3)
         .text(d => d.id);
+
+    // Strike-through marks of closed cities and roads, drawn over the map
+    g.append('g').attr('class', 'closure-marks');
     
     // Add zoom and pan functionality
     const zoom = d3.zoom()
@@ -224,25 +437,36 @@ function setupGraph() {
         zoom.scaleBy(svg.transition().duration(100), e.deltaY > 0 ? 0.95 : 1.05);
     }, { passive: false });
 
-    // Initial heuristic labels after graph setup
-    updateHeuristicLabelsForGraph();
+    return { svg, width, height, xScale, yScale, zoom };
+}
+
+/**
+ * The map the main controls search on
+ */
+function getMainMapContainer() {
+    return document.getElementById('graphContainer');
+}
+
+/**
+ * The circle of a city on a map, the main map by default
+ */
+function selectCityNode(cityId, container = getMainMapContainer()) {
+    // Custom graphs may have ids that are not valid in a selector, e.g. with spaces
+    return d3.select(container).select(`#${CSS.escape(`${container.dataset.nodeIdPrefix || ''}node-${cityId}`)}`);
 }
 
 /**
  * Get node object by ID
  */
 function getNodeById(id) {
-    return graphData.nodes.find(node => node.id === id);
+    return searchGraph.getNode(id);
 }
 
 /**
  * Get link object by source and target IDs
  */
 function getLinkByNodes(sourceId, targetId) {
-    return graphData.links.find(link => 
-        (link.source === sourceId && link.target === targetId) ||
-        (link.source === targetId && link.target === sourceId)
-    );
+    return searchGraph.getLink(sourceId, targetId);
 }
 
 /**
@@ -250,8 +474,7 @@ function getLinkByNodes(sourceId, targetId) {
  */
 function populateCityDropdowns() {
     const startCitySelect = document.getElementById('startCity');
-    const destCitySelect = document.getElementById('destCity');
-    const secondaryDestCitySelect = document.getElementById('secondaryDestCity');
+    const goalCitiesSelect = document.getElementById('goalCities');
     
     // Sort cities alphabetically
     const sortedCities = [...graphData.nodes].sort((a, b) => a.id.localeCompare(b.id));
@@ -259,15 +482,12 @@ function populateCityDropdowns() {
     // Filter capital cities for start dropdown
     const capitalCities = sortedCities.filter(city => city.type === 'capitol');
     
-    // Filter DEC cities for destination dropdown
+    // Filter DEC cities for the goal list
     const decCities = sortedCities.filter(city => city.type === 'dec');
     
     // Clear existing options
     startCitySelect.innerHTML = '<option value="">Select start city (Capital only)</option>';
-    destCitySelect.innerHTML = '<option value="">Select destination city (DEC only)</option>';
-    if (secondaryDestCitySelect) {
-        secondaryDestCitySelect.innerHTML = '<option value="">Optional: Secondary DEC</option>';
-    }
+    goalCitiesSelect.innerHTML = '';
     
     // Add capital cities only to start dropdown
     capitalCities.forEach(city => {
@@ -277,30 +497,46 @@ function populateCityDropdowns() {
         startCitySelect.appendChild(startOption);
     });
     
-    // Add DEC cities only to destination dropdown
+    // Add DEC cities only to the goal list
     decCities.forEach(city => {
-        const destOption = document.createElement('option');
-        destOption.value = city.id;
-        destOption.textContent = `${city.id} (DEC)`;
-        destCitySelect.appendChild(destOption);
+        const goalOption = document.createElement('option');
+        goalOption.value = city.id;
+        goalOption.textContent = `${city.id} (DEC)`;
+        goalCitiesSelect.appendChild(goalOption);
     });
-    // Populate secondary DEC dropdown (same options)
-    if (secondaryDestCitySelect) {
-        decCities.forEach(city => {
-            const opt = document.createElement('option');
-            opt.value = city.id;
-            opt.textContent = `${city.id} (DEC)`;
-            secondaryDestCitySelect.appendChild(opt);
-        });
-    }
-    
-    // Secondary DEC dropdown populated above
-    
-    // Set default values for demonstration
-    startCitySelect.value = 'Colombo';
-    destCitySelect.value = 'Meegoda';
-    if (secondaryDestCitySelect) secondaryDestCitySelect.value = '';
     
+    // Set default values for demonstration (custom graphs may not have these cities)
+    startCitySelect.value = capitalCities.some(city => city.id === 'Colombo') ? 'Colombo' : '';
+    setSelectedGoals(decCities.some(city => city.id === 'Meegoda') ? ['Meegoda'] : [], false);
+}
+
+/**
+ * Ids of all Dedicated Economic Centers
+ */
+function getDecCityIds() {
+    return graphData ? graphData.nodes.filter(city => city.type === 'dec').map(city => city.id) : [];
+}
+
+/**
+ * Goals currently selected in the goal list
+ */
+function getSelectedGoals() {
+    const select = document.getElementById('goalCities');
+    if (!select) return new Set();
+    return new Set(Array.from(select.selectedOptions).map(option => option.value));
+}
+
+/**
+ * Select exactly the given goals; notify listeners unless `notify` is false
+ */
+function setSelectedGoals(goals, notify = true) {
+    const select = document.getElementById('goalCities');
+    if (!select) return;
+    const wanted = new Set(goals);
+    Array.from(select.options).forEach(option => {
+        option.selected = wanted.has(option.value);
+    });
+    if (notify) select.dispatchEvent(new Event('change'));
 }
 
 /**
@@ -310,35 +546,15 @@ async function startSearch() {
     if (isSearchRunning) return;
     const algorithm = document.getElementById('algorithm').value;
     const startCity = document.getElementById('startCity').value;
-    const destCity = document.getElementById('destCity').value;
-    const secondaryDestCity = document.getElementById('secondaryDestCity')?.value || '';
-    const goalsArray = [destCity, secondaryDestCity].filter(Boolean);
+    const goals = getSelectedGoals();
+    const { heuristicWeight, closeAfterSteps } = getSearchOptions();
     
     // Validation
-    if (!startCity) {
-        showError('Please select a start city.');
+    const inputError = getSearchInputError(algorithm, startCity, goals);
+    if (inputError) {
+        showError(inputError);
         return;
     }
-    if (algorithm === 'bidirectional') {
-        if (!destCity) {
-            showError('Please select a destination city.');
-            return;
-        }
-        if (startCity === destCity) {
-            showError('Start and destination cities must be different.');
-            return;
-        }
-    } else {
-        if (goalsArray.length === 0) {
-            showError('Please select at least one destination city.');
-            return;
-        }
-        const validGoals = goalsArray.filter(g => g !== startCity);
-        if (validGoals.length === 0) {
-            showError('At least one destination city must be different from the start city.');
-            return;
-        }
-    }
     // Reset visualization
     resetVisualization();
     // Set search state
@@ -352,7 +568,7 @@ async function startSearch() {
     showLoading('Initializing search...');
     try {
         const depthLimit = parseInt(document.getElementById('depthLimit').value) || 5;
-    const result = await runAlgo(algorithm, startCity, destCity, depthLimit, secondaryDestCity);
+        const result = await runAlgo(algorithm, startCity, goals, depthLimit, { heuristicWeight, closeAfterSteps });
         displaySearchResults(result, algorithm);
     } catch (error) {
         console.error('Search error:', error);
@@ -368,98 +584,269 @@ async function startSearch() {
         if (resumeBtnEl) resumeBtnEl.classList.add('hidden');
         const resetBtnEl = document.getElementById('resetBtn');
         if (resetBtnEl) resetBtnEl.textContent = 'Reset';
+        updateTimelineControls();
+    }
+}
+
+/**
+ * Heuristic weight (Weighted A*) and closure step (D* Lite) from their inputs
+ */
+function getSearchOptions() {
+    const heuristicWeightInput = document.getElementById('heuristicWeight');
+    const closeAfterStepsInput = document.getElementById('closeAfterSteps');
+    return {
+        heuristicWeight: heuristicWeightInput ? parseFloat(heuristicWeightInput.value) : 1,
+        closeAfterSteps: closeAfterStepsInput ? Number(closeAfterStepsInput.value) : 1
+    };
+}
+
+/**
+ * Why the algorithm cannot search from `startCity` to `goals` with the current
+ * inputs, or null when it can
+ */
+function getSearchInputError(algorithm, startCity, goals) {
+    const { heuristicWeight, closeAfterSteps } = getSearchOptions();
+    if (!startCity) {
+        return 'Please select a start city.';
+    }
+    if (goals.size === 0) {
+        return 'Please select at least one destination city.';
+    }
+    if (!Array.from(goals).some(goal => goal !== startCity)) {
+        return 'At least one destination city must be different from the start city.';
+    }
+    if (closedCities.has(startCity)) {
+        return `The start city ${startCity} is closed. Click it on the map to reopen it.`;
     }
+    if (algorithm === 'astar' && !(heuristicWeight >= 0)) {
+        return 'Heuristic weight must be a number greater than or equal to 0.';
+    }
+    if (algorithm === 'dstar-lite' && !(Number.isInteger(closeAfterSteps) && closeAfterSteps >= 0)) {
+        return 'The road must close after a whole number of roads (0 or more).';
+    }
+    return null;
+}
+
+/**
+ * The engine problem for a search from the main controls' settings
+ */
+function createSearchProblem(startCity, goals, depthLimit, options = {}) {
+    return {
+        graph: searchGraph,
+        start: startCity,
+        // Any number of goals; bidirectional searches seed one backward frontier from all of them
+        goal: new Set(goals),
+        depthLimit,
+        heuristic: getSearchHeuristic(),
+        heuristicWeight: options.heuristicWeight ?? 1,
+        // D* Lite: the road ahead closes after the traveler has driven this many roads
+        closeAfterSteps: options.closeAfterSteps ?? 1,
+        // Graph, tree or path-checking search; undefined keeps the algorithm's default
+        searchMode: getSearchMode() || undefined,
+        maxExpansions: UI_MAX_EXPANSIONS,
+        // Successor order, priority-queue tie-breaking and the random order's seed
+        ...getOrderingOptions(),
+        // Frontier/explored snapshots for the inspector panel
+        snapshots: true
+    };
 }
 
-// Single-goal searches only; multi-goal logic removed
-// For DLS, IDDFS, Greedy, A*, similar wrappers can be made (omitted for brevity, but can be added as needed)
-// Helper to run the selected algorithm (single-goal)
-async function runAlgo(algorithm, startCity, goal, depthLimit, secondaryGoal = '') {
-    const goalsSet = new Set([goal, secondaryGoal].filter(Boolean));
-    switch (algorithm) {
-        case 'bfs': return await breadthFirstSearch(startCity, goalsSet.size ? goalsSet : goal);
-        case 'dfs': return await depthFirstSearch(startCity, goalsSet.size ? goalsSet : goal);
-        case 'ucs': return await uniformCostSearch(startCity, goalsSet.size ? goalsSet : goal);
-        case 'dls': return await depthLimitedSearch(startCity, goalsSet.size ? goalsSet : goal, depthLimit);
-        case 'iddfs': return await iterativeDeepeningSearch(startCity, goalsSet.size ? goalsSet : goal);
-        case 'bidirectional': return await bidirectionalSearch(startCity, goal); // single-goal only
-        case 'greedy': return await greedyBestFirstSearch(startCity, goalsSet.size ? goalsSet : goal);
-        case 'astar': return await aStarSearch(startCity, goalsSet.size ? goalsSet : goal);
-        default: throw new Error('Unknown algorithm selected');
+/**
+ * Run the selected algorithm on the search engine, record its trace and animate it
+ */
+async function runAlgo(algorithm, startCity, goals, depthLimit, options = {}) {
+    const problem = createSearchProblem(startCity, goals, depthLimit, options);
+    updateStatus(`Starting ${getAlgorithmName(algorithm)} from ${startCity} to ${SearchEngine.describeGoal(problem.goal)}`);
+    const trace = recordSearchTrace(algorithm, problem);
+    if (algorithm === 'astar') {
+        // Reference optimum for the weighted A* gap and bound report
+        const optimum = SearchEngine.runSearch('ucs', { ...problem, searchMode: 'graph', snapshots: false });
+        trace.result.optimalCost = optimum.success ? optimum.cost : null;
     }
+    // b, d, m, C*, ε of this graph and query for the empirical complexity panel
+    trace.result.complexityParameters = {
+        ...SearchEngine.complexityParameters(searchGraph, startCity, problem.goal),
+        depthLimit
+    };
+    loadSearchTrace(algorithm, trace);
+    return await playSearchTrace();
 }
-// Removed duplicate startSearch patch block
 
 /**
- * Calculate straight-line distance between two cities (heuristic for informed search)
+ * Straight-line (haversine) distance between two cities in the cost model's
+ * unit, the default heuristic
  */
 function calculateStraightLineDistance(city1Id, city2Id) {
-    const city1 = getNodeById(city1Id);
-    const city2 = getNodeById(city2Id);
-    
-    if (!city1 || !city2) return Infinity;
-    
-    // Convert to radians
-    const lat1Rad = city1.lat * Math.PI / 180;
-    const lon1Rad = city1.lon * Math.PI / 180;
-    const lat2Rad = city2.lat * Math.PI / 180;
-    const lon2Rad = city2.lon * Math.PI / 180;
-    
-    // Haversine formula
-    const dLat = lat2Rad - lat1Rad;
-    const dLon = lon2Rad - lon1Rad;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1Rad) * Math.cos(lat2Rad) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const earthRadius = 6371; // Earth's radius in kilometers
-    
-    return earthRadius * c;
+    return searchGraph.estimateCost(city1Id, city2Id);
 }
 
-// --- Multi-goal helpers ---
-function isGoalNode(nodeId, goalOrSet) {
-    return goalOrSet instanceof Set ? goalOrSet.has(nodeId) : nodeId === goalOrSet;
+/**
+ * Heuristic estimate h(city → goal) from the selected heuristic
+ */
+function calculateHeuristic(cityId, goalId) {
+    return activeHeuristic ? activeHeuristic(cityId, goalId) : calculateStraightLineDistance(cityId, goalId);
 }
 
-function heuristicToGoalOrGoals(nodeId, goalOrSet) {
-    if (goalOrSet instanceof Set) {
-        if (goalOrSet.size === 0) return Infinity;
-        let minH = Infinity;
-        for (const g of goalOrSet) {
-            const h = calculateStraightLineDistance(nodeId, g);
-            if (h < minH) minH = h;
-        }
-        return minH;
+/**
+ * The heuristic handed to the engine: the active estimate itself when there is
+ * one, so its goalSpecific flag keeps a custom h(n) table out of searches
+ * toward other targets (e.g. the backward half of bidirectional A*)
+ */
+function getSearchHeuristic() {
+    return activeHeuristic || calculateHeuristic;
+}
+
+/**
+ * Rebuild the active heuristic from the heuristic selector and scale input
+ */
+function updateActiveHeuristic() {
+    if (!searchGraph) return;
+    const name = document.getElementById('heuristic')?.value || 'haversine';
+    const scale = parseFloat(document.getElementById('heuristicScale')?.value ?? '1');
+    // Start an empty custom table from the straight-line distances
+    if (name === 'table' && Object.keys(heuristicTable).length === 0) {
+        heuristicTable = buildStraightLineTable();
+    }
+    try {
+        activeHeuristic = SearchEngine.createHeuristic(searchGraph, name, {
+            scale: scale >= 0 ? scale : 1,
+            table: heuristicTable
+        });
+    } catch (error) {
+        console.warn('Falling back to the haversine heuristic:', error);
+        activeHeuristic = null;
     }
-    return calculateStraightLineDistance(nodeId, goalOrSet);
+    const tablePanel = document.getElementById('heuristicTablePanel');
+    if (tablePanel) tablePanel.classList.toggle('hidden', name !== 'table');
+    renderHeuristicTable();
 }
 
-function reachedGoalFromPath(path) {
-    return Array.isArray(path) && path.length ? path[path.length - 1] : null;
+/**
+ * Human-readable name of the active heuristic, e.g. "Haversine (great-circle) × 1.5"
+ */
+function getHeuristicName() {
+    const name = document.getElementById('heuristic')?.value || 'haversine';
+    const scale = parseFloat(document.getElementById('heuristicScale')?.value ?? '1');
+    const label = (SearchEngine.heuristics[name] || SearchEngine.heuristics.haversine).label;
+    return scale >= 0 && scale !== 1 ? `${label} × ${scale}` : label;
+}
+
+/**
+ * Check the active heuristic against true road costs to the selected goal(s),
+ * list the violations and highlight them on the map
+ */
+function checkSelectedHeuristic() {
+    const goals = getSelectedGoals();
+    if (goals.size === 0) {
+        showError('Please select at least one destination city to check the heuristic against.');
+        return;
+    }
+    clearHeuristicCheck();
+    const report = SearchEngine.checkHeuristic(searchGraph, goals, calculateHeuristic);
+    const badNodes = new Set(report.inadmissible.map(v => v.node));
+    const badEdges = new Set(report.inconsistent.map(v => `${v.source}|${v.target}`));
+    d3.selectAll('#graphContainer .node').classed('heuristic-violation', d => badNodes.has(d.id));
+    d3.selectAll('#graphContainer .link').classed('heuristic-violation', d =>
+        badEdges.has(`${d.source}|${d.target}`) || badEdges.has(`${d.target}|${d.source}`));
+
+    const container = document.getElementById('heuristicCheckResults');
+    if (container) container.innerHTML = renderHeuristicReport(report, goals);
+}
+
+/**
+ * Remove the heuristic check report and its map highlights
+ */
+function clearHeuristicCheck() {
+    d3.selectAll('#graphContainer .heuristic-violation').classed('heuristic-violation', false);
+    const container = document.getElementById('heuristicCheckResults');
+    if (container) container.innerHTML = '';
+}
+
+/**
+ * HTML report of a SearchEngine.checkHeuristic result
+ */
+function renderHeuristicReport(report, goals) {
+    const MAX_ROWS = 15;
+    const format = v => (Number.isFinite(v) ? v.toFixed(2) : '∞');
+    const verdict = (ok, yes, no) => `<span class="${ok ? 'text-green-700' : 'text-red-600'} font-semibold">${ok ? yes : no}</span>`;
+    const moreRows = list => list.length > MAX_ROWS
+        ? `<p class="text-xs text-gray-600">…and ${list.length - MAX_ROWS} more</p>`
+        : '';
+    const byExcess = (a, b) => b.excess - a.excess;
+
+    let html = `<div class="result-item ${report.admissible && report.consistent ? 'success' : 'error'}">`;
+    html += `<h3 class="font-semibold mb-2">Heuristic Check – ${getHeuristicName()}</h3>`;
+    html += `<p><strong>Goal(s):</strong> ${escapeHtml(Array.from(goals).join(', '))}</p>`;
+    if (activeHeuristic && Array.isArray(activeHeuristic.landmarks)) {
+        html += `<p><strong>Landmarks:</strong> ${escapeHtml(activeHeuristic.landmarks.join(', '))}</p>`;
+    }
+    html += `<p><strong>Admissible (h(n) ≤ h*(n)):</strong> ${verdict(report.admissible, 'yes', `no – ${report.inadmissible.length} node(s)`)}</p>`;
+    html += `<p><strong>Consistent (h(n) ≤ c(n, m) + h(m)):</strong> ${verdict(report.consistent, 'yes', `no – ${report.inconsistent.length} edge(s)`)}</p>`;
+
+    if (report.inadmissible.length > 0) {
+        const rows = report.inadmissible.slice().sort(byExcess).slice(0, MAX_ROWS);
+        html += `
+            <div class="mt-2 overflow-auto">
+                <table class="min-w-full text-xs border border-gray-200 rounded">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-2 py-1 text-left">Node</th>
+                            <th class="px-2 py-1 text-right">h(n)</th>
+                            <th class="px-2 py-1 text-right">h*(n)</th>
+                            <th class="px-2 py-1 text-right">Excess</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(v => `
+                            <tr class="odd:bg-white even:bg-gray-50">
+                                <td class="px-2 py-1">${escapeHtml(v.node)}</td>
+                                <td class="px-2 py-1 text-right">${format(v.h)}</td>
+                                <td class="px-2 py-1 text-right">${format(v.trueCost)}</td>
+                                <td class="px-2 py-1 text-right text-red-600">+${format(v.excess)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${moreRows(report.inadmissible)}`;
+    }
+
+    if (report.inconsistent.length > 0) {
+        const rows = report.inconsistent.slice().sort(byExcess).slice(0, MAX_ROWS);
+        html += `
+            <div class="mt-2 overflow-auto">
+                <table class="min-w-full text-xs border border-gray-200 rounded">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-2 py-1 text-left">Edge n → m</th>
+                            <th class="px-2 py-1 text-right">h(n)</th>
+                            <th class="px-2 py-1 text-right">c(n, m) + h(m)</th>
+                            <th class="px-2 py-1 text-right">Excess</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(v => `
+                            <tr class="odd:bg-white even:bg-gray-50">
+                                <td class="px-2 py-1">${escapeHtml(v.source)} → ${escapeHtml(v.target)}</td>
+                                <td class="px-2 py-1 text-right">${format(v.hSource)}</td>
+                                <td class="px-2 py-1 text-right">${format(v.distance + v.hTarget)}</td>
+                                <td class="px-2 py-1 text-right text-red-600">+${format(v.excess)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${moreRows(report.inconsistent)}`;
+    }
+    html += '</div>';
+    return html;
 }
 
 /**
  * Get neighbors of a given city
  */
 function getNeighbors(cityId) {
-    const neighbors = [];
-    
-    graphData.links.forEach(link => {
-        if (link.source === cityId) {
-            neighbors.push({
-                id: link.target,
-                distance: link.distance
-            });
-        } else if (link.target === cityId) {
-            neighbors.push({
-                id: link.source,
-                distance: link.distance
-            });
-        }
-    });
-    
-    return neighbors;
+    return searchGraph.getNeighbors(cityId);
 }
 
 /**
@@ -470,7 +857,7 @@ async function animateNodeExploration(nodeId, isExploring = true) {
         await waitForResume();
     }
     
-    const node = d3.select(`#node-${nodeId}`);
+    const node = selectCityNode(nodeId);
     
     if (isExploring) {
         node.classed('exploring', true);
@@ -492,7 +879,7 @@ async function animatePath(path) {
     // Highlight path nodes
     for (let i = 0; i < path.length; i++) {
         const nodeId = path[i];
-        const node = d3.select(`#node-${nodeId}`);
+        const node = selectCityNode(nodeId);
         
         // Remove exploring class and add path class
         node.classed('exploring', false).classed('path', true);
@@ -508,21 +895,48 @@ async function animatePath(path) {
     
     // Mark start and goal nodes specially
     if (path.length > 0) {
-        d3.select(`#node-${path[0]}`).classed('start', true);
-        d3.select(`#node-${path[path.length - 1]}`).classed('goal', true);
+        selectCityNode(path[0]).classed('start', true);
+        selectCityNode(path[path.length - 1]).classed('goal', true);
+    }
+}
+
+/**
+ * Animate a tour leg by leg, marking each goal as it is visited
+ */
+async function animateTour(legs) {
+    if (legs.length === 0) return;
+    selectCityNode(legs[0].from).classed('start', true);
+    for (let i = 0; i < legs.length; i++) {
+        const leg = legs[i];
+        updateStatus(`Tour leg ${i + 1}/${legs.length}: ${leg.from} → ${leg.to} (${leg.cost.toFixed(1)} ${getCostUnit()})`);
+        for (let j = 0; j < leg.path.length; j++) {
+            if (isPaused) {
+                await waitForResume();
+            }
+            selectCityNode(leg.path[j]).classed('exploring', false).classed('path', true);
+            if (j > 0) highlightPathEdge(leg.path[j - 1], leg.path[j]);
+            await sleep(ANIMATION_DELAY / 2);
+        }
+        // The last leg returns to the start
+        if (i < legs.length - 1) selectCityNode(leg.to).classed('goal', true);
+        await sleep(ANIMATION_DELAY);
     }
 }
 
 /**
- * Highlight an edge in the path
+ * Highlight an edge in the path, or colour it as one of several alternative routes
  */
-function highlightPathEdge(sourceId, targetId) {
-    const links = d3.selectAll('.link');
+function highlightPathEdge(sourceId, targetId, routeColor = null, container = getMainMapContainer()) {
+    const links = d3.select(container).selectAll('.link');
     
     links.each(function(d) {
         if ((d.source === sourceId && d.target === targetId) ||
             (d.source === targetId && d.target === sourceId)) {
-            d3.select(this).classed('path', true);
+            if (routeColor) {
+                d3.select(this).classed('alternative-route', true).style('stroke', routeColor);
+            } else {
+                d3.select(this).classed('path', true);
+            }
         }
     });
 }
@@ -557,8 +971,7 @@ function waitForResume() {
  */
 function pauseSearch() {
     isPaused = true;
-    document.getElementById('pauseBtn').classList.add('hidden');
-    document.getElementById('resumeBtn').classList.remove('hidden');
+    updateTimelineControls();
     updateStatus('Search paused');
 }
 
@@ -567,8 +980,7 @@ function pauseSearch() {
  */
 function resumeSearch() {
     isPaused = false;
-    document.getElementById('pauseBtn').classList.remove('hidden');
-    document.getElementById('resumeBtn').classList.add('hidden');
+    updateTimelineControls();
     updateStatus('Search resumed');
 }
 
@@ -587,18 +999,34 @@ function resetVisualization() {
     isPaused = false;
 
     // Reset all nodes and links (only if graph exists)
-    if (d3.selectAll('.node').size() > 0) {
-        d3.selectAll('.node')
-            .classed('exploring path start goal', false);
+    if (d3.selectAll('#graphContainer .node').size() > 0) {
+        d3.selectAll('#graphContainer .node')
+            .classed('exploring path start goal traveler', false)
+            .classed(DIRECTION_CLASSES, false);
     }
-    if (d3.selectAll('.link').size() > 0) {
-        d3.selectAll('.link')
-            .classed('exploring path', false);
+    if (d3.selectAll('#graphContainer .link').size() > 0) {
+        d3.selectAll('#graphContainer .link')
+            .classed('exploring path', false)
+            .classed(REPLANNING_LINK_CLASSES, false);
     }
 
-    // Remove heuristic labels on reset
+    // Remove heuristic labels, heuristic check highlights, alternative routes and the Pareto front on reset
+    clearHeuristicCheck();
+    clearAlternativeRoutes();
+    clearParetoRoutes();
     d3.select('#graphContainer').select('svg').select('g').selectAll('.h-label').remove();
 
+    // Discard the recorded trace and disable the timeline
+    searchTrace = null;
+    traceIndex = 0;
+    renderFrontierInspector(null);
+    updateBoundBanner(null);
+    if (document.getElementById('timelineSlider')) {
+        document.getElementById('timelineSlider').max = 0;
+        document.getElementById('timelineSlider').disabled = true;
+    }
+    updateTimelineControls();
+
     // Clear results
     if (document.getElementById('searchResults')) {
         document.getElementById('searchResults').innerHTML = 
@@ -626,19 +1054,17 @@ function resetVisualization() {
 }
 
 /**
- * Render/update heuristic labels on the main graph for A* (h(n) to nearest goal)
+ * Render/update heuristic labels on the main graph for informed search (h(n) to nearest goal)
  */
 function updateHeuristicLabelsForGraph() {
     try {
         if (!graphData || !xScale || !yScale) return;
         const algorithm = document.getElementById('algorithm')?.value;
-        const dest = document.getElementById('destCity')?.value || '';
-        const dest2 = document.getElementById('secondaryDestCity')?.value || '';
-        const goals = new Set([dest, dest2].filter(Boolean));
+        const goals = getSelectedGoals();
         const gEl = d3.select('#graphContainer').select('svg').select('g');
         if (gEl.empty()) return;
-        // Only show for A* with at least one goal
-        if (algorithm !== 'astar' || goals.size === 0) {
+        // Only show for heuristic-guided algorithms with at least one goal
+        if (!HEURISTIC_ALGORITHMS.includes(algorithm) || goals.size === 0) {
             gEl.selectAll('.h-label').remove();
             return;
         }
@@ -654,10 +1080,10 @@ function updateHeuristicLabelsForGraph() {
             .style('font-size', '10px')
             .merge(labels)
             .text(d => {
-                // h(n) = min_g distance(n,g)
+                // h(n) = min_g h(n,g)
                 let h = Infinity;
                 goals.forEach(g => {
-                    const val = calculateStraightLineDistance(d.id, g);
+                    const val = calculateHeuristic(d.id, g);
                     if (val < h) h = val;
                 });
                 const hs = Number.isFinite(h) ? h.toFixed(1) : '∞';
@@ -677,10 +1103,8 @@ function updateHeuristicLabelsForGraph() {
 function resetAll() {
     // Reset dropdowns
     document.getElementById('startCity').selectedIndex = 0;
-    document.getElementById('destCity').selectedIndex = 0;
-    if (document.getElementById('secondaryDestCity')) {
-        document.getElementById('secondaryDestCity').selectedIndex = 0;
-    }
+    setSelectedGoals([], false);
+    clearHeuristicCheck();
     // Reset third panel highlights (remove all highlights)
     d3.selectAll('#graphContainer .graph-svg circle').attr('stroke', null).attr('stroke-width', null);
     d3.selectAll('#graphContainer .graph-svg path').attr('stroke', null).attr('stroke-width', null);
@@ -696,55 +1120,59 @@ function displaySearchResults(result, algorithm, asString) {
     
     let html = `<div class="result-item ${result.success ? 'success' : 'error'}">`;
     // Build header with optional reached-goal and multi-goal badge
-    const primaryGoal = document.getElementById('destCity')?.value || '';
-    const secondaryGoal = document.getElementById('secondaryDestCity')?.value || '';
-    const isMultiGoal = algorithm !== 'bidirectional' && !!secondaryGoal;
-    const reachedLabel = result.success && result.reachedGoal ? ` – Goal: ${result.reachedGoal}` : '';
+    const goals = Array.from(getSelectedGoals());
+    const isMultiGoal = goals.length > 1;
+    const reachedLabel = result.success && result.reachedGoal ? ` – Goal: ${escapeHtml(result.reachedGoal)}` : '';
     const badge = isMultiGoal
-        ? `<span class="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-700" title="Goals: ${primaryGoal}${secondaryGoal ? ', ' + secondaryGoal : ''}">Multi-goal</span>`
+        ? `<span class="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-700" title="Goals: ${escapeHtml(goals.join(', '))}">Multi-goal (${goals.length})</span>`
         : '';
     html += `<h3 class="font-semibold mb-2">${getAlgorithmName(algorithm)} Results${reachedLabel} ${badge}</h3>`;
     
     if (result.success) {
-        html += `<p><strong>Path Found:</strong> ${result.path.join(' → ')}</p>`;
+        html += `<p><strong>Path Found:</strong> ${escapeHtml(result.path.join(' → '))}</p>`;
         if (result.reachedGoal) {
-            html += `<p><strong>Reached Goal:</strong> ${result.reachedGoal}</p>`;
-        }
-        html += `<p><strong>Total Distance:</strong> ${result.cost} km</p>`;
-        html += `<p><strong>Nodes Explored:</strong> ${result.nodesExplored}</p>`;
-        if (typeof result.nodesDiscovered === 'number') {
-            html += `<p><strong>Nodes Discovered:</strong> ${result.nodesDiscovered}</p>`;
-        }
-        if (typeof result.edgesProcessed === 'number') {
-            html += `<p><strong>Edges Processed:</strong> ${result.edgesProcessed}</p>`;
+            html += `<p><strong>Reached Goal:</strong> ${escapeHtml(result.reachedGoal)}</p>`;
         }
+        html += `<p><strong>Total ${getCostLabel()}:</strong> ${Number(result.cost.toFixed(2))} ${getCostUnit()}</p>`;
+        html += getSearchModeMetrics(result);
+        html += getSearchMetrics(result);
         html += `<p><strong>Path Length:</strong> ${result.path.length} cities</p>`;
         
         if (result.executionTime) {
             html += `<p><strong>Execution Time:</strong> ${result.executionTime}ms</p>`;
         }
+        html += getMemoryBoundedMetrics(result);
+        html += getBidirectionalMetrics(result);
+        html += getTourMetrics(result);
+        html += getReplanningMetrics(result);
+        if (algorithm === 'astar') {
+            html += getWeightedAStarMetrics(result);
+        }
 
-        // Show heuristic values along the path for Greedy Best-First and A*
-        if ((algorithm === 'greedy' || algorithm === 'astar') && Array.isArray(result.path) && result.path.length > 0) {
+        // Show heuristic values along the path for Greedy Best-First, A*, IDA* and RBFS
+        if (HEURISTIC_ALGORITHMS.includes(algorithm) && Array.isArray(result.path) && result.path.length > 0) {
             const goalCity = result.reachedGoal || result.path[result.path.length - 1];
             if (goalCity) {
                 const heuristics = result.path.map(city => {
-                    const h = calculateStraightLineDistance(city, goalCity);
+                    const h = calculateHeuristic(city, goalCity);
                     const hStr = Number.isFinite(h) ? h.toFixed(1) : '∞';
-                    return `${city} (h=${hStr} km)`;
+                    return `${escapeHtml(city)} (h=${hStr} ${getCostUnit()})`;
                 }).join(' → ');
                 html += `<p><strong>Heuristics (to goal):</strong> ${heuristics}</p>`;
             }
         }
 
-        // For A*, also show a compact table of g(n), h(n), f(n) for the final path
-        if (algorithm === 'astar' && Array.isArray(result.path) && result.path.length > 0) {
+        // For A*, IDA* and RBFS, also show a compact table of g(n), h(n), f(n) for the final path
+        if (F_COST_ALGORITHMS.includes(algorithm) && Array.isArray(result.path) && result.path.length > 0) {
             const goalCity = result.reachedGoal || result.path[result.path.length - 1];
             if (goalCity) {
+                // Weighted A* orders its frontier by g + w·h, so show the same f here
+                const weight = typeof result.heuristicWeight === 'number' ? result.heuristicWeight : 1;
+                const fLabel = weight === 1 ? 'f(n)' : `f(n) = g + ${weight}·h`;
                 let gSoFar = 0;
                 const rows = result.path.map((city, idx) => {
-                    const h = calculateStraightLineDistance(city, goalCity);
-                    const f = gSoFar + h;
+                    const h = calculateHeuristic(city, goalCity);
+                    const f = gSoFar + weight * h;
                     const row = {
                         city,
                         g: Number.isFinite(gSoFar) ? gSoFar : Infinity,
@@ -754,7 +1182,7 @@ function displaySearchResults(result, algorithm, asString) {
                     // advance g to next node for next iteration
                     if (idx < result.path.length - 1) {
                         const link = getLinkByNodes(result.path[idx], result.path[idx + 1]);
-                        if (link) gSoFar += link.distance;
+                        if (link) gSoFar += fullGraph.linkCost(link);
                     }
                     return row;
                 });
@@ -767,13 +1195,13 @@ function displaySearchResults(result, algorithm, asString) {
                                     <th class="px-2 py-1 text-left">Node</th>
                                     <th class="px-2 py-1 text-right">g(n)</th>
                                     <th class="px-2 py-1 text-right">h(n)</th>
-                                    <th class="px-2 py-1 text-right">f(n)</th>
+                                    <th class="px-2 py-1 text-right">${fLabel}</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 ${rows.map(r => `
                                     <tr class="odd:bg-white even:bg-gray-50">
-                                        <td class="px-2 py-1">${r.city}</td>
+                                        <td class="px-2 py-1">${escapeHtml(r.city)}</td>
                                         <td class="px-2 py-1 text-right">${format(r.g)}</td>
                                         <td class="px-2 py-1 text-right">${format(r.h)}</td>
                                         <td class="px-2 py-1 text-right">${format(r.f)}</td>
@@ -783,13 +1211,15 @@ function displaySearchResults(result, algorithm, asString) {
                         </table>
                     </div>
                 `;
-                html += `<div class="mt-2"><strong>A* Scores:</strong>${table}
+                const scoresTitle = { 'astar': 'A*', 'idastar': 'IDA*', 'rbfs': 'RBFS' }[algorithm];
+                html += `<div class="mt-2"><strong>${scoresTitle} Scores:</strong>${table}
                     <div class="mt-1 text-xs text-gray-600">
                         <p class="mb-1"><strong>What do g(n), h(n), f(n) mean?</strong></p>
                         <ul class="list-disc list-inside space-y-0.5">
-                            <li><strong>g(n)</strong>: Accumulated path cost from Start to n (sum of edge distances in km).</li>
-                            <li><strong>h(n)</strong>: Heuristic estimate from n to Goal (straight-line distance).</li>
-                            <li><strong>f(n)</strong> = g(n) + h(n): Estimated total cost via n. A* expands the frontier node with the smallest f(n).</li>
+                            <li><strong>g(n)</strong>: Accumulated path cost from Start to n (sum of edge costs in ${getCostUnit()}).</li>
+                            <li><strong>h(n)</strong>: Heuristic estimate from n to Goal (${getHeuristicName()}).</li>
+                            <li><strong>f(n)</strong> = g(n) + h(n): Estimated total cost via n. A* expands the frontier node with the smallest f(n); IDA* and RBFS bound their depth-first search by it.</li>
+                            ${weight !== 1 ? `<li>Weighted A* inflates the heuristic: f(n) = g(n) + ${weight}·h(n), so the path found costs at most ${Math.max(weight, 1)}·C*.</li>` : ''}
                         </ul>
                     </div>
                 </div>`;
@@ -802,7 +1232,7 @@ function displaySearchResults(result, algorithm, asString) {
             if (goalCity) {
                 let gSoFar = 0;
                 const rows = result.path.map((city, idx) => {
-                    const h = calculateStraightLineDistance(city, goalCity);
+                    const h = calculateHeuristic(city, goalCity);
                     const f = gSoFar + h; // not used by Greedy, but informative
                     const row = {
                         city,
@@ -812,7 +1242,7 @@ function displaySearchResults(result, algorithm, asString) {
                     };
                     if (idx < result.path.length - 1) {
                         const link = getLinkByNodes(result.path[idx], result.path[idx + 1]);
-                        if (link) gSoFar += link.distance;
+                        if (link) gSoFar += fullGraph.linkCost(link);
                     }
                     return row;
                 });
@@ -831,7 +1261,7 @@ function displaySearchResults(result, algorithm, asString) {
                             <tbody>
                                 ${rows.map(r => `
                                     <tr class="odd:bg-white even:bg-gray-50">
-                                        <td class="px-2 py-1">${r.city}</td>
+                                        <td class="px-2 py-1">${escapeHtml(r.city)}</td>
                                         <td class="px-2 py-1 text-right">${format(r.g)}</td>
                                         <td class="px-2 py-1 text-right">${format(r.h)}</td>
                                         <td class="px-2 py-1 text-right">${format(r.f)}</td>
@@ -845,8 +1275,8 @@ function displaySearchResults(result, algorithm, asString) {
                     <div class="mt-1 text-xs text-gray-600">
                         <p class="mb-1"><strong>What do g(n), h(n), f(n) mean?</strong></p>
                         <ul class="list-disc list-inside space-y-0.5">
-                            <li><strong>g(n)</strong>: Accumulated path cost from Start to n (sum of edge distances in km). Shown for context.</li>
-                            <li><strong>h(n)</strong>: Heuristic estimate from n to Goal (straight-line distance). Greedy selects the node with the smallest h(n).</li>
+                            <li><strong>g(n)</strong>: Accumulated path cost from Start to n (sum of edge costs in ${getCostUnit()}). Shown for context.</li>
+                            <li><strong>h(n)</strong>: Heuristic estimate from n to Goal (${getHeuristicName()}). Greedy selects the node with the smallest h(n).</li>
                             <li><strong>f(n)</strong> = g(n) + h(n): Not used by Greedy for decisions; included to compare with A*.</li>
                         </ul>
                     </div>
@@ -855,32 +1285,176 @@ function displaySearchResults(result, algorithm, asString) {
         }
     } else {
         html += `<p><strong>No path found</strong></p>`;
-        html += `<p><strong>Nodes Explored:</strong> ${result.nodesExplored}</p>`;
-        if (typeof result.nodesDiscovered === 'number') {
-            html += `<p><strong>Nodes Discovered:</strong> ${result.nodesDiscovered}</p>`;
-        }
-        if (typeof result.edgesProcessed === 'number') {
-            html += `<p><strong>Edges Processed:</strong> ${result.edgesProcessed}</p>`;
-        }
+        html += getSearchModeMetrics(result);
+        html += getSearchMetrics(result);
+        html += getMemoryBoundedMetrics(result);
+        html += getReplanningMetrics(result);
         
         if (result.reason) {
-            html += `<p><strong>Reason:</strong> ${result.reason}</p>`;
+            html += `<p><strong>Reason:</strong> ${escapeHtml(result.reason)}</p>`;
         }
     }
     
     html += '</div>';
     
-    // Add algorithm complexity information
-    html += getComplexityInfo(algorithm);
+    // Add algorithm complexity information, with the measured numbers
+    html += getComplexityInfo(algorithm, result);
     
     if (asString) return html;
     resultsContainer.innerHTML = html;
+    drawComplexityChart(resultsContainer.querySelector('.complexity-chart'), getComplexityEstimate(algorithm, result));
     
     // Show complexity info panel
     document.getElementById('complexityInfo').classList.remove('hidden');
     document.getElementById('complexityDetails').innerHTML = getComplexityDetails(algorithm);
 }
 
+/**
+ * How the search treated repeated states
+ */
+function getSearchModeMetrics(result) {
+    if (!result.searchMode) return '';
+    return `<p><strong>Search Mode:</strong> ${SEARCH_MODE_NAMES[result.searchMode] || result.searchMode}</p>`;
+}
+
+/**
+ * Counters from the engine's shared metrics collector, for a result or a
+ * step event's metrics. b* and penetrance only exist for a solution below the start.
+ */
+function getSearchMetrics(metrics) {
+    const rows = [
+        ['Nodes Generated', metrics.nodesGenerated],
+        ['Nodes Expanded', metrics.nodesExplored],
+        ['Nodes Added to Frontier', metrics.nodesDiscovered],
+        ['Edges Processed', metrics.edgesProcessed],
+        ['Repeated States Generated', metrics.repeatedStates],
+        ['Peak Frontier Size', metrics.maxFrontier],
+        ['Peak Explored Set Size', metrics.maxExplored],
+        ['Solution Depth', metrics.solutionDepth],
+        ['Effective Branching Factor b*', metrics.effectiveBranchingFactor, 2],
+        ['Penetrance (d / N)', metrics.penetrance, 3]
+    ];
+    return rows
+        .filter(([, value]) => typeof value === 'number')
+        .map(([label, value, digits]) => `<p><strong>${label}:</strong> ${digits ? value.toFixed(digits) : value}</p>`)
+        .join('');
+}
+
+/**
+ * Result metrics specific to the memory-bounded searches (IDA*, RBFS)
+ */
+function getMemoryBoundedMetrics(result) {
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+    let html = '';
+    if (Array.isArray(result.bounds)) {
+        html += `<p><strong>f-Bound Iterations:</strong> ${result.bounds.length} (${result.bounds.map(format).join(' → ')} ${getCostUnit()})</p>`;
+    }
+    if (typeof result.reExpansions === 'number') {
+        html += `<p><strong>Re-expansions:</strong> ${result.reExpansions}</p>`;
+    }
+    if (typeof result.maxRecursionDepth === 'number') {
+        html += `<p><strong>Peak Recursion Depth:</strong> ${result.maxRecursionDepth}</p>`;
+    }
+    return html;
+}
+
+/**
+ * Meeting point and stopping condition of the weighted bidirectional searches
+ */
+function getBidirectionalMetrics(result) {
+    if (!result.meetingNode) return '';
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+    let html = `<p><strong>Meeting Node:</strong> ${escapeHtml(result.meetingNode)}</p>`;
+    html += `<p><strong>Best Meeting Cost (μ):</strong> ${format(result.bestCost)} ${getCostUnit()}</p>`;
+    const bound = typeof result.stoppingBound === 'number' ? ` (${format(result.stoppingBound)} ≥ ${format(result.bestCost)})` : '';
+    html += `<p><strong>Stopped When:</strong> ${result.stoppingRule}${bound}</p>`;
+    return html;
+}
+
+/**
+ * Visiting order and per-leg costs of a tour that visits every goal and returns
+ */
+function getTourMetrics(result) {
+    if (!Array.isArray(result.legs)) return '';
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+    const stops = result.legs.length > 0 ? [result.legs[0].from, ...result.legs.map(leg => leg.to)] : [];
+    let html = `<p><strong>Visiting Order:</strong> ${escapeHtml(stops.join(' → '))}</p>`;
+    html += `<div class="mt-2 overflow-auto">
+        <table class="min-w-full text-xs border border-gray-200 rounded">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-2 py-1 text-left">Leg</th>
+                    <th class="px-2 py-1 text-left">Route</th>
+                    <th class="px-2 py-1 text-right">Cost (${getCostUnit()})</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.legs.map((leg, i) => `
+                    <tr class="odd:bg-white even:bg-gray-50">
+                        <td class="px-2 py-1">${i + 1}</td>
+                        <td class="px-2 py-1">${escapeHtml(leg.path.join(' → '))}</td>
+                        <td class="px-2 py-1 text-right">${format(leg.cost)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    </div>`;
+    return html;
+}
+
+/**
+ * D* Lite report: the initial plan, the road that closed and how many nodes the
+ * incremental replan re-expanded compared with a full A* rerun
+ */
+function getReplanningMetrics(result) {
+    if (!Array.isArray(result.replans)) return '';
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+    let html = `<p><strong>Initial Plan:</strong> ${escapeHtml(result.initialPath.join(' → '))} (${format(result.initialCost)} ${getCostUnit()}, ${result.initialExpansions} expansions)</p>`;
+    if (result.replans.length === 0) {
+        html += `<p><strong>Road Closure:</strong> none – the traveler arrived within ${result.closeAfterSteps} road(s)</p>`;
+        return html;
+    }
+    result.replans.forEach(replan => {
+        const saved = replan.astarExpanded > 0 ? (1 - replan.reExpanded / replan.astarExpanded) * 100 : 0;
+        html += `<p><strong>Road Closed:</strong> ${escapeHtml(replan.road[0])} – ${escapeHtml(replan.road[1])}, with the traveler at ${escapeHtml(replan.at)}</p>`;
+        html += `<p><strong>Nodes Re-expanded (D* Lite):</strong> ${replan.reExpanded}`
+            + ` vs <strong>${replan.astarExpanded}</strong> for a full A* rerun from ${escapeHtml(replan.at)}`
+            + ` <span class="${saved > 0 ? 'text-green-700' : 'text-gray-600'}">(${saved >= 0 ? `${saved.toFixed(0)}% fewer` : `${(-saved).toFixed(0)}% more`})</span></p>`;
+        if (replan.exhaustive) {
+            html += '<p class="text-xs text-amber-700">The heuristic is not consistent here, so D* Lite settled every node before trusting the new plan.</p>';
+        }
+    });
+    if (result.success) {
+        html += `<p><strong>Extra ${getCostLabel()} from the Closure:</strong> ${format(result.cost - result.initialCost)} ${getCostUnit()}</p>`;
+    }
+    return html;
+}
+
+/**
+ * Weighted A* report: the weight used, the gap to the UCS optimum C* and
+ * whether the suboptimality bound cost ≤ max(w, 1)·C* holds
+ */
+function getWeightedAStarMetrics(result) {
+    if (typeof result.heuristicWeight !== 'number' || typeof result.optimalCost !== 'number') {
+        return '';
+    }
+    const weight = result.heuristicWeight;
+    const optimum = result.optimalCost;
+    const gap = result.cost - optimum;
+    const gapPercent = optimum > 0 ? (gap / optimum) * 100 : 0;
+    const factor = Math.max(weight, 1);
+    const bound = factor * optimum;
+    // Small tolerance for floating-point sums of edge distances
+    const holds = result.cost <= bound + 1e-9;
+    const unit = getCostUnit();
+    let html = `<p><strong>Heuristic Weight (w):</strong> ${weight}</p>`;
+    html += `<p><strong>UCS Optimum (C*):</strong> ${Number(optimum.toFixed(2))} ${unit}</p>`;
+    html += `<p><strong>Gap to Optimum:</strong> ${gap > 0 ? '+' : ''}${Number(gap.toFixed(2))} ${unit} (${gapPercent.toFixed(1)}%)</p>`;
+    html += `<p><strong>Bound cost ≤ ${factor}·C* (${Number(bound.toFixed(2))} ${unit}):</strong> `
+        + `<span class="${holds ? 'text-green-700' : 'text-red-600'} font-semibold">${holds ? 'holds' : 'violated'}</span></p>`;
+    return html;
+}
+
 /**
  * Get human-readable algorithm name
  */
@@ -892,50 +1466,62 @@ function getAlgorithmName(algorithm) {
         'dls': 'Depth-Limited Search',
         'iddfs': 'Iterative Deepening DFS',
         'bidirectional': 'Bidirectional Search',
+        'bidirectional-ucs': 'Bidirectional Uniform-Cost Search',
+        'bidirectional-astar': 'Bidirectional A* Search',
         'greedy': 'Greedy Best-First Search',
-        'astar': 'A* Search'
+        'astar': 'A* Search',
+        'idastar': 'Iterative Deepening A*',
+        'rbfs': 'Recursive Best-First Search',
+        'tour-ucs': 'Tour by Uniform-Cost Search',
+        'tour-astar': 'Tour by A* (MST heuristic)',
+        'tour-dp': 'Tour by Held-Karp DP',
+        'dstar-lite': 'D* Lite Replanning'
     };
     return names[algorithm] || algorithm;
 }
 
 /**
- * Get complexity information for display
+ * Get complexity information for display, with the bounds evaluated for the
+ * run's graph and query and the measured numbers under the theory
  */
-function getComplexityInfo(algorithm) {
-    const complexities_old = {
-        'bfs': { time: 'O(V + E)', space: 'O(V)', optimal: 'Yes (unweighted)', complete: 'Yes' },
-        'dfs': { time: 'O(V + E)', space: 'O(V)', optimal: 'No', complete: 'No (infinite spaces)' },
-        'ucs': { time: 'O(b^⌈C*/ε⌉)', space: 'O(b^⌈C*/ε⌉)', optimal: 'Yes', complete: 'Yes' },
-        'dls': { time: 'O(b^l)', space: 'O(bl)', optimal: 'No', complete: 'No' },
-        'iddfs': { time: 'O(b^d)', space: 'O(bd)', optimal: 'Yes (unweighted)', complete: 'Yes' },
-        'bidirectional': { time: 'O(b^(d/2))', space: 'O(b^(d/2))', optimal: 'Yes (unweighted)', complete: 'Yes' },
-        'greedy': { time: 'O(b^m)', space: 'O(b^m)', optimal: 'No', complete: 'No' },
-        'astar': { time: 'O(b^d)', space: 'O(b^d)', optimal: 'Yes (admissible heuristic)', complete: 'Yes' }
-    };
-
-    const complexities = {
-        'bfs': { time: 'O(b^d)', space: 'O(b^(d+1))', optimal: 'Yes (unweighted)', complete: 'Yes' },
-        'dfs': { time: 'O(b^m)', space: 'O(bm)', optimal: 'No', complete: 'No (infinite spaces)' },
-        'ucs': { time: 'O(b^(1 + ⌈C*/ε⌉))', space: 'O(b^(1 + ⌈C*/ε⌉))', optimal: 'Yes', complete: 'Yes' },
-        'dls': { time: 'O(b^l)', space: 'O(bl)', optimal: 'No', complete: 'No' },
-        'iddfs': { time: 'O(b^d)', space: 'O(bd)', optimal: 'Yes (unweighted)', complete: 'Yes' },
-        'bidirectional': { time: 'O(b^(d/2))', space: 'O(b^(d/2))', optimal: 'Yes (unweighted)', complete: 'Yes' },
-        'greedy': { time: 'O(b^m)', space: 'O(b^m)', optimal: 'No', complete: 'No' },
-        'astar': { time: 'O(b^d)', space: 'O(b^d)', optimal: 'Yes (admissible heuristic)', complete: 'Yes' }
-    };
-    
-    const complexity = complexities[algorithm];
+function getComplexityInfo(algorithm, result = null) {
+    const complexity = ALGORITHM_COMPLEXITIES[algorithm];
     if (!complexity) return '';
+
+    // Measured counterparts of the theory, from the run's metrics
+    const measured = text => (result && text ? `<div class="text-xs text-gray-600">Measured: ${text}</div>` : '');
+    const hasCounts = result && typeof result.nodesGenerated === 'number';
+    const timeMeasured = hasCounts ? `${result.nodesGenerated} generated, ${result.nodesExplored} expanded` : '';
+    const spaceMeasured = hasCounts ? `peak frontier ${result.maxFrontier}, peak explored set ${result.maxExplored}` : '';
+    const branching = result && typeof result.effectiveBranchingFactor === 'number'
+        ? `d = ${result.solutionDepth}, b* = ${result.effectiveBranchingFactor.toFixed(2)}`
+        : '';
+    const optimalMeasured = result && typeof result.optimalCost === 'number' && result.success
+        ? `cost ${Number(result.cost.toFixed(2))} vs C* = ${Number(result.optimalCost.toFixed(2))}`
+        : '';
+    const estimate = getComplexityEstimate(algorithm, result);
+    const plugged = bound => (estimate
+        ? `<div class="text-xs text-gray-600">Here: ${bound.substituted} ≈ ${formatBoundValue(bound.average)}${bound.usesBranching ? ` (max b: ${formatBoundValue(bound.max)})` : ''}</div>`
+        : '');
+    const empirical = estimate ? `
+            <div class="mt-3 text-sm">
+                <p class="font-semibold">Parameters of this graph and query</p>
+                <ul class="list-disc list-inside text-xs text-gray-600">
+                    ${estimate.parameters.map(line => `<li>${line}</li>`).join('')}
+                </ul>
+                <p class="font-semibold mt-2">Predicted bound vs measured nodes</p>
+                <div class="complexity-chart"></div>
+            </div>` : '';
     
     return `
         <div class="result-item mt-4">
             <h4 class="font-semibold mb-2">Algorithm Properties</h4>
             <div class="grid grid-cols-2 gap-2 text-sm">
-                <div><strong>Time Complexity:</strong> ${complexity.time}</div>
-                <div><strong>Space Complexity:</strong> ${complexity.space}</div>
-                <div><strong>Optimal:</strong> ${complexity.optimal}</div>
+                <div><strong>Time Complexity:</strong> ${complexity.time}${plugged(estimate && estimate.time)}${measured(timeMeasured)}${measured(branching)}</div>
+                <div><strong>Space Complexity:</strong> ${complexity.space}${plugged(estimate && estimate.space)}${measured(spaceMeasured)}</div>
+                <div><strong>Optimal:</strong> ${complexity.optimal}${measured(optimalMeasured)}</div>
                 <div><strong>Complete:</strong> ${complexity.complete}</div>
-            </div>
+            </div>${empirical}
         </div>
     `;
 }
@@ -951,13 +1537,34 @@ function getComplexityDetails(algorithm) {
         'dls': 'DLS is DFS with a depth limit to avoid infinite paths.',
         'iddfs': 'IDDFS combines benefits of DFS and BFS by gradually increasing depth limit.',
         'bidirectional': 'Bidirectional search runs two searches simultaneously from start and goal.',
+        'bidirectional-ucs': 'Bidirectional UCS grows cost-ordered frontiers from both ends and stops once the two frontier tops together cost at least the best meeting path μ.',
+        'bidirectional-astar': 'Bidirectional A* orders both frontiers by f = g + h (h to the goal forward, to the start backward) and stops once the larger frontier top f reaches the best meeting path μ.',
         'greedy': 'Greedy search uses heuristic to guide search toward the goal.',
-        'astar': 'A* combines actual cost and heuristic for optimal pathfinding.'
+        'astar': 'A* combines actual cost and heuristic for optimal pathfinding.',
+        'idastar': 'IDA* runs depth-first searches bounded by f = g + h, raising the bound to the smallest f-cost that exceeded it.',
+        'rbfs': 'RBFS mimics best-first search in linear space, backing up the best f-value of each abandoned subtree.',
+        'tour-ucs': 'Tour UCS searches states (city, visited goals) by path cost; the first time the start is popped with every goal visited, the tour is optimal.',
+        'tour-astar': 'Tour A* adds h = distance to the nearest unvisited goal + minimum spanning tree of the unvisited goals and the start, a lower bound on the rest of the tour.',
+        'tour-dp': 'Held-Karp computes road costs between the start and every goal, then finds the cheapest visiting order by dynamic programming over goal subsets (k goals).',
+        'dstar-lite': 'D* Lite plans backward from the goal with A*-style keys and keeps its g/rhs values, so when a road ahead closes it re-expands only the nodes whose cost-to-goal changed instead of searching again from scratch.'
     };
     
     return details[algorithm] || '';
 }
 
+/**
+ * Escape text for an HTML template or attribute: city ids and the messages
+ * naming them come from uploaded or edited graphs
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Update status message
  */
@@ -973,7 +1580,7 @@ function showLoading(message) {
     resultsContainer.innerHTML = `
         <div class="flex items-center">
             <div class="loading mr-3"></div>
-            <span>${message}</span>
+            <span>${escapeHtml(message)}</span>
         </div>
     `;
 }
@@ -985,649 +1592,2430 @@ function showError(message) {
     const resultsContainer = document.getElementById('searchResults');
     resultsContainer.innerHTML = `
         <div class="result-item error">
-            <p><strong>Error:</strong> ${message}</p>
+            <p><strong>Error:</strong> ${escapeHtml(message)}</p>
         </div>
     `;
 }
 
 // ============================================================================
-// SEARCH ALGORITHMS IMPLEMENTATION
+// EMPIRICAL COMPLEXITY
 // ============================================================================
 
 /**
- * Breadth-First Search (BFS)
- * Explores all neighbors at the current depth before moving to next depth level
+ * Textbook bounds per algorithm. `timeBound` and `spaceBound` evaluate the
+ * formulas for the parameters p of getBoundParameters (NaN when one is unknown).
  */
-async function breadthFirstSearch(start, goal) {
-    const startTime = Date.now();
-    const queue = [{ node: start, path: [start] }];
-    const visited = new Set([start]);
-    let nodesExplored = 0;
-    let nodesDiscovered = 1; // start is discovered
-    let edgesProcessed = 0;
-    
-    updateStatus(`Starting BFS from ${start} to ${goal}`);
-    
-    while (queue.length > 0) {
-        if (!isSearchRunning) break;
-        
-        const { node: currentNode, path } = queue.shift();
-        nodesExplored++;
-        
-        await animateNodeExploration(currentNode);
-        
-        if (isGoalNode(currentNode, goal)) {
-            await animatePath(path);
-            const cost = calculatePathCost(path);
-            return {
-                success: true,
-                path,
-                cost,
-                nodesExplored,
-                nodesDiscovered,
-                edgesProcessed,
-                reachedGoal: reachedGoalFromPath(path),
-                executionTime: Date.now() - startTime
-            };
-        }
-        
-        const neighbors = getNeighbors(currentNode);
-        for (const neighbor of neighbors) {
-            edgesProcessed++;
-            if (!visited.has(neighbor.id)) {
-                visited.add(neighbor.id);
-                nodesDiscovered++;
-                queue.push({
-                    node: neighbor.id,
-                    path: [...path, neighbor.id]
-                });
-            }
+const ALGORITHM_COMPLEXITIES = {
+    'bfs': { time: 'O(b^d)', space: 'O(b^(d+1))', optimal: 'Yes (unweighted)', complete: 'Yes',
+        timeBound: p => p.b ** p.d, spaceBound: p => p.b ** (p.d + 1) },
+    'dfs': { time: 'O(b^m)', space: 'O(b·m)', optimal: 'No', complete: 'No (infinite spaces)',
+        timeBound: p => p.b ** p.m, spaceBound: p => p.b * p.m },
+    'ucs': { time: 'O(b^(1 + ⌈C*/ε⌉))', space: 'O(b^(1 + ⌈C*/ε⌉))', optimal: 'Yes', complete: 'Yes',
+        timeBound: p => p.b ** (1 + Math.ceil(p.C / p.e)), spaceBound: p => p.b ** (1 + Math.ceil(p.C / p.e)) },
+    'dls': { time: 'O(b^l)', space: 'O(b·l)', optimal: 'No', complete: 'No',
+        timeBound: p => p.b ** p.l, spaceBound: p => p.b * p.l },
+    'iddfs': { time: 'O(b^d)', space: 'O(b·d)', optimal: 'Yes (unweighted)', complete: 'Yes',
+        timeBound: p => p.b ** p.d, spaceBound: p => p.b * p.d },
+    'bidirectional': { time: 'O(b^(d/2))', space: 'O(b^(d/2))', optimal: 'Yes (unweighted)', complete: 'Yes',
+        timeBound: p => p.b ** (p.d / 2), spaceBound: p => p.b ** (p.d / 2) },
+    'bidirectional-ucs': { time: 'O(b^(1 + ⌈C*/2ε⌉))', space: 'O(b^(1 + ⌈C*/2ε⌉))', optimal: 'Yes', complete: 'Yes',
+        timeBound: p => p.b ** (1 + Math.ceil(p.C / (2 * p.e))), spaceBound: p => p.b ** (1 + Math.ceil(p.C / (2 * p.e))) },
+    'bidirectional-astar': { time: 'O(b^(d/2))', space: 'O(b^(d/2))', optimal: 'Yes (admissible heuristic)', complete: 'Yes',
+        timeBound: p => p.b ** (p.d / 2), spaceBound: p => p.b ** (p.d / 2) },
+    'greedy': { time: 'O(b^m)', space: 'O(b^m)', optimal: 'No', complete: 'No',
+        timeBound: p => p.b ** p.m, spaceBound: p => p.b ** p.m },
+    'astar': { time: 'O(b^d)', space: 'O(b^d)', optimal: 'Yes (admissible heuristic)', complete: 'Yes',
+        timeBound: p => p.b ** p.d, spaceBound: p => p.b ** p.d },
+    'idastar': { time: 'O(b^d)', space: 'O(b·d)', optimal: 'Yes (admissible heuristic)', complete: 'Yes',
+        timeBound: p => p.b ** p.d, spaceBound: p => p.b * p.d },
+    'rbfs': { time: 'O(b^d)', space: 'O(b·d)', optimal: 'Yes (admissible heuristic)', complete: 'Yes',
+        timeBound: p => p.b ** p.d, spaceBound: p => p.b * p.d },
+    'tour-ucs': { time: 'O(2^k · (V + E) log(2^k · V))', space: 'O(2^k · V)', optimal: 'Yes', complete: 'Yes',
+        timeBound: p => 2 ** p.k * (p.V + p.E) * Math.log2(2 ** p.k * p.V), spaceBound: p => 2 ** p.k * p.V },
+    'tour-astar': { time: 'O(2^k · (V + E) log(2^k · V))', space: 'O(2^k · V)', optimal: 'Yes (MST heuristic is admissible)', complete: 'Yes',
+        timeBound: p => 2 ** p.k * (p.V + p.E) * Math.log2(2 ** p.k * p.V), spaceBound: p => 2 ** p.k * p.V },
+    'tour-dp': { time: 'O(2^k · k² + k(V + E) log V)', space: 'O(2^k · k)', optimal: 'Yes', complete: 'Yes',
+        timeBound: p => 2 ** p.k * p.k ** 2 + p.k * (p.V + p.E) * Math.log2(p.V), spaceBound: p => 2 ** p.k * p.k },
+    'dstar-lite': { time: 'O(b^d) first plan, then only the affected nodes', space: 'O(V)', optimal: 'Yes (consistent heuristic)', complete: 'Yes',
+        timeBound: p => p.b ** p.d, spaceBound: p => p.V }
+};
+
+// Symbols of the bound formulas, matched as whole tokens
+const BOUND_SYMBOL_PATTERN = /C\*|ε|\b[bdmlkVE]\b/g;
+
+/**
+ * Formula parameters from a result's complexityParameters, with b the
+ * average ('average') or maximum ('max') branching factor
+ */
+function getBoundParameters(params, branching = 'average') {
+    const known = value => (typeof value === 'number' ? value : NaN);
+    return {
+        b: branching === 'max' ? params.maxBranching : params.averageBranching,
+        d: known(params.solutionDepth),
+        m: params.maxDepth,
+        l: known(params.depthLimit),
+        C: known(params.optimalCost),
+        e: known(params.minStepCost),
+        V: params.nodeCount,
+        E: params.edgeCount,
+        k: params.goalCount
+    };
+}
+
+/**
+ * Short display form of a parameter or a bound
+ */
+function formatBoundValue(value) {
+    if (!Number.isFinite(value)) return 'n/a';
+    if (value >= 1e6) return value.toExponential(1);
+    return String(value >= 100 ? Math.round(value) : Number(value.toFixed(2)));
+}
+
+/**
+ * The O(...) part of a formula, without trailing notes
+ */
+function getLeadingBound(formula) {
+    let depth = 0;
+    for (let i = 0; i < formula.length; i++) {
+        if (formula[i] === '(') depth++;
+        if (formula[i] === ')' && --depth === 0) return formula.slice(0, i + 1);
+    }
+    return formula;
+}
+
+/**
+ * The bound with every symbol replaced by its value, e.g. O(b^d) → O(2.5^3)
+ */
+function substituteBoundSymbols(formula, p) {
+    const values = { 'C*': p.C, 'ε': p.e, b: p.b, d: p.d, m: p.m, l: p.l, k: p.k, V: p.V, E: p.E };
+    return getLeadingBound(formula)
+        // Keep a coefficient such as 2ε together once ε becomes a number
+        .replace(/(\d)ε/g, '($1·ε)')
+        .replace(BOUND_SYMBOL_PATTERN, symbol => formatBoundValue(values[symbol]));
+}
+
+/**
+ * One line per parameter that the algorithm's formulas use, e.g. "d = 3"
+ */
+function describeBoundParameters(complexity, params) {
+    const used = new Set(`${complexity.time} ${complexity.space}`.match(BOUND_SYMBOL_PATTERN));
+    const unit = getCostUnit();
+    const lines = [];
+    if (used.has('b')) lines.push(`b = ${formatBoundValue(params.averageBranching)} average, ${params.maxBranching} max (successors per city)`);
+    if (used.has('d')) lines.push(`d = ${params.solutionDepth ?? 'n/a (no goal reachable)'} (roads on the shallowest solution)`);
+    if (used.has('m')) {
+        lines.push(params.maxDepthExact
+            ? `m = ${params.maxDepth} (roads on the longest loop-free path)`
+            : `m ≤ ${params.maxDepth} (V − 1; too many paths to find the longest)`);
+    }
+    if (used.has('l')) lines.push(`l = ${formatBoundValue(params.depthLimit)} (depth limit)`);
+    if (used.has('C*')) lines.push(`C* = ${params.optimalCost === null ? 'n/a (no goal reachable)' : `${formatBoundValue(params.optimalCost)} ${unit}`} (optimal cost)`);
+    if (used.has('ε')) {
+        lines.push(`ε = ${params.minStepCost === null ? 'n/a' : `${formatBoundValue(params.minStepCost)} ${unit}`} (cheapest road)`
+            + (params.zeroCostSteps ? ' – some roads cost 0, which the ε-bound assumes away, so it may not hold' : ''));
+    }
+    if (used.has('V')) lines.push(`V = ${params.nodeCount} (reachable cities)`);
+    if (used.has('E')) lines.push(`E = ${params.edgeCount} (roads)`);
+    if (used.has('k')) lines.push(`k = ${params.goalCount} (goals)`);
+    return lines;
+}
+
+/**
+ * Predicted bounds for the result's graph and query next to the measured
+ * counts: time against nodes generated, space against the peak frontier plus
+ * the peak explored set. Null without parameters (e.g. a stopped run).
+ */
+function getComplexityEstimate(algorithm, result) {
+    const complexity = ALGORITHM_COMPLEXITIES[algorithm];
+    const params = result && result.complexityParameters;
+    if (!complexity || !params) return null;
+    const average = getBoundParameters(params, 'average');
+    const max = getBoundParameters(params, 'max');
+    const hasCounts = typeof result.nodesGenerated === 'number';
+    return {
+        parameters: describeBoundParameters(complexity, params),
+        time: {
+            substituted: substituteBoundSymbols(complexity.time, average),
+            usesBranching: /\bb\b/.test(complexity.time),
+            average: complexity.timeBound(average),
+            max: complexity.timeBound(max),
+            measured: hasCounts ? result.nodesGenerated : NaN
+        },
+        space: {
+            substituted: substituteBoundSymbols(complexity.space, average),
+            usesBranching: /\bb\b/.test(complexity.space),
+            average: complexity.spaceBound(average),
+            max: complexity.spaceBound(max),
+            measured: hasCounts ? result.maxFrontier + result.maxExplored : NaN
+        }
+    };
+}
+
+/**
+ * Log-scale bar chart of the predicted bounds (average and maximum b) against
+ * the measured node counts, for time and space. The max-b bar is left out of
+ * bounds that do not depend on b.
+ */
+function drawComplexityChart(container, estimate) {
+    if (!container || !estimate) return;
+    const series = [
+        { key: 'average', label: 'Bound (average b)', className: 'bound-average' },
+        { key: 'max', label: 'Bound (max b)', className: 'bound-max' },
+        { key: 'measured', label: 'Measured', className: 'measured' }
+    ];
+    const groups = [
+        { label: 'Time (nodes generated)', values: estimate.time },
+        { label: 'Space (peak frontier + explored)', values: estimate.space }
+    ];
+    const bars = groups.flatMap(group => series
+        .filter(s => Number.isFinite(group.values[s.key]) && (s.key !== 'max' || group.values.usesBranching))
+        .map(s => ({ group: group.label, ...s, value: Math.max(group.values[s.key], 1) })));
+    if (bars.length === 0) return;
+
+    const chartMargin = { top: 10, right: 16, bottom: 40, left: 56 };
+    const chartWidth = 360 - chartMargin.left - chartMargin.right;
+    const chartHeight = 200 - chartMargin.top - chartMargin.bottom;
+    const x = d3.scaleBand().domain(groups.map(group => group.label)).range([0, chartWidth]).padding(0.2);
+    const xSeries = d3.scaleBand().domain(series.map(s => s.key)).range([0, x.bandwidth()]).padding(0.1);
+    // Bounds grow exponentially, so a log scale keeps the measured bars visible
+    const y = d3.scaleLog().domain([1, d3.max(bars, bar => bar.value) * 2]).range([chartHeight, 0]).nice();
+
+    const chart = d3.select(container).append('svg')
+        .attr('width', chartWidth + chartMargin.left + chartMargin.right)
+        .attr('height', chartHeight + chartMargin.top + chartMargin.bottom)
+        .append('g')
+        .attr('transform', `translate(${chartMargin.left},${chartMargin.top})`);
+    chart.append('g').attr('transform', `translate(0,${chartHeight})`).call(d3.axisBottom(x));
+    chart.append('g').call(d3.axisLeft(y).ticks(4, '~s'));
+    chart.append('text')
+        .attr('class', 'text-xs')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -chartHeight / 2)
+        .attr('y', -44)
+        .attr('text-anchor', 'middle')
+        .text('Nodes (log scale)');
+    chart.selectAll('.complexity-bar')
+        .data(bars)
+        .enter()
+        .append('rect')
+        .attr('class', bar => `complexity-bar ${bar.className}`)
+        .attr('x', bar => x(bar.group) + xSeries(bar.key))
+        .attr('width', xSeries.bandwidth())
+        .attr('y', bar => y(bar.value))
+        .attr('height', bar => chartHeight - y(bar.value))
+        .append('title')
+        .text(bar => `${bar.label}: ${formatBoundValue(bar.value)}`);
+
+    const legend = d3.select(container).append('div').attr('class', 'flex gap-3 text-xs text-gray-600 mt-1');
+    series.filter(s => bars.some(bar => bar.key === s.key)).forEach(s => {
+        const item = legend.append('span').attr('class', 'inline-flex items-center gap-1');
+        item.append('span').attr('class', `complexity-swatch ${s.className}`);
+        item.append('span').text(s.label);
+    });
+}
+
+// ============================================================================
+// SEARCH EVENT PLAYBACK
+// ============================================================================
+
+/**
+ * Run an algorithm to completion and record every step event as a trace
+ */
+function recordSearchTrace(algorithm, problem) {
+    const events = [];
+    const result = SearchEngine.runSearch(algorithm, problem, event => events.push(event));
+    return { events, result };
+}
+
+/**
+ * Animate the recorded trace from the current timeline position.
+ * Returns the algorithm's result object once the end of the trace is reached.
+ */
+async function playSearchTrace() {
+    const events = searchTrace.events;
+    
+    while (traceIndex < events.length) {
+        if (!isSearchRunning) {
+            const lastEvent = events[traceIndex - 1];
+            return {
+                success: false,
+                ...(lastEvent ? lastEvent.metrics : { nodesExplored: 0 }),
+                reason: 'Search stopped'
+            };
+        }
+        if (isPaused) {
+            await waitForResume();
+            continue;
         }
         
-        await animateNodeExploration(currentNode, false);
+        const event = events[traceIndex];
+        const renderId = traceRenderId;
+        traceIndex++;
+        updateTimelineControls();
+        showTraceStepResults();
+        await animateSearchEvent(event);
+        // The timeline was moved during the animation: redraw that step cleanly
+        if (renderId !== traceRenderId) {
+            renderTraceStep(traceIndex);
+        }
     }
     
-    return {
-        success: false,
-        nodesExplored,
-        nodesDiscovered,
-        edgesProcessed,
-        executionTime: Date.now() - startTime,
-        reason: 'No path exists between the cities'
+    return searchTrace.result;
+}
+
+/**
+ * Animate a single search event on the D3 map and the tree panel
+ */
+async function animateSearchEvent(event) {
+    updateSearchTreePanel(event);
+    if (event.state) renderFrontierInspector(event);
+    applyDirectionalClasses(event);
+    
+    switch (event.type) {
+        case 'iteration':
+            updateStatus(describeSearchEvent(event));
+            // Brief pause between iterations
+            if (event.iteration > 0) {
+                await sleep(ANIMATION_DELAY);
+            }
+            // Reset visualization for the new depth limit / f-bound
+            d3.selectAll('#graphContainer .node').classed('exploring', false);
+            updateBoundBanner(event);
+            break;
+        case 'pop':
+            updateBoundBanner(event);
+            await animateNodeExploration(event.node);
+            break;
+        case 'goal-test':
+            // Weighted bidirectional search: a cheaper meeting path lowers μ
+            if (event.meeting) updateBoundBanner(event);
+            break;
+        case 'expanded':
+            await animateNodeExploration(event.node, false);
+            break;
+        case 'plan':
+        case 'road-closed':
+        case 'move':
+            updateStatus(describeSearchEvent(event));
+            applyReplanningEvent(event);
+            await sleep(event.type === 'move' ? ANIMATION_DELAY / 2 : ANIMATION_DELAY);
+            break;
+        case 'path-found':
+            if (Array.isArray(event.legs)) {
+                await animateTour(event.legs);
+            } else {
+                await animatePath(event.path);
+            }
+            break;
+    }
+}
+
+/**
+ * Apply a search event to a map (the main map by default) without animation
+ * delays. `algorithm` names the f-limit of RBFS in the bound banner.
+ */
+function applySearchEventToMap(event, container = getMainMapContainer(), algorithm = searchTrace && searchTrace.algorithm) {
+    applyDirectionalClasses(event, container);
+    switch (event.type) {
+        case 'iteration':
+            d3.select(container).selectAll('.node').classed('exploring', false);
+            updateBoundBanner(event, container, algorithm);
+            break;
+        case 'pop':
+            selectCityNode(event.node, container).classed('exploring', true);
+            updateBoundBanner(event, container, algorithm);
+            break;
+        case 'goal-test':
+            if (event.meeting) updateBoundBanner(event, container, algorithm);
+            break;
+        case 'expanded':
+            selectCityNode(event.node, container).classed('exploring', false);
+            break;
+        case 'plan':
+        case 'road-closed':
+        case 'move':
+            applyReplanningEvent(event, container);
+            break;
+        case 'path-found':
+            event.path.forEach((nodeId, i) => {
+                selectCityNode(nodeId, container).classed('exploring', false).classed('path', true);
+                if (i > 0) highlightPathEdge(event.path[i - 1], nodeId, null, container);
+            });
+            if (Array.isArray(event.legs)) {
+                // Tours end where they started; mark the visited goals instead
+                event.legs.slice(0, -1).forEach(leg => selectCityNode(leg.to, container).classed('goal', true));
+                if (event.path.length > 0) selectCityNode(event.path[0], container).classed('start', true);
+            } else if (event.path.length > 0) {
+                selectCityNode(event.path[0], container).classed('start', true);
+                selectCityNode(event.path[event.path.length - 1], container).classed('goal', true);
+            }
+            break;
+    }
+}
+
+/**
+ * D* Lite on the map: draw the current plan, mark the road that closed and
+ * move the traveler along the roads driven so far
+ */
+function applyReplanningEvent(event, container = getMainMapContainer()) {
+    const links = d3.select(container).selectAll('.link');
+    switch (event.type) {
+        case 'plan':
+            links.classed('planned', false);
+            for (let i = 1; i < event.path.length; i++) {
+                const [a, b] = [event.path[i - 1], event.path[i]];
+                links.filter(d => (d.source === a && d.target === b) || (d.source === b && d.target === a))
+                    .classed('planned', true);
+            }
+            break;
+        case 'road-closed': {
+            const [a, b] = event.road;
+            links.filter(d => (d.source === a && d.target === b) || (d.source === b && d.target === a))
+                .classed('planned', false)
+                .classed('closed-en-route', true);
+            break;
+        }
+        case 'move':
+            d3.select(container).selectAll('.node').classed('traveler', false);
+            selectCityNode(event.node, container).classed('traveler', true);
+            highlightPathEdge(event.path[event.path.length - 2], event.node, null, container);
+            break;
+    }
+}
+
+/**
+ * Colour the forward and backward frontiers (and explored sets) of bidirectional runs
+ */
+function applyDirectionalClasses(event, container = getMainMapContainer()) {
+    if (!event.direction) return;
+    const node = selectCityNode(event.node, container);
+    switch (event.type) {
+        case 'push':
+            node.classed(`frontier-${event.direction}`, true);
+            break;
+        case 'pop':
+            node.classed(`frontier-${event.direction}`, false);
+            break;
+        case 'expanded':
+            node.classed(`closed-${event.direction}`, true);
+            break;
+    }
+}
+
+/**
+ * Show the current depth limit (IDDFS), f-bound (IDA*), f-limit (RBFS) or best
+ * meeting cost μ (weighted bidirectional search) on a map, the main one by default.
+ * Events without a limit leave the banner unchanged; null hides it.
+ */
+function updateBoundBanner(event, container = getMainMapContainer(), algorithm = searchTrace && searchTrace.algorithm) {
+    if (!container) return;
+    let banner = container.querySelector('.bound-banner');
+    if (!event) {
+        if (banner) banner.remove();
+        return;
+    }
+    
+    let text = null;
+    if (typeof event.bestCost === 'number') {
+        text = `μ (best meeting cost): ${Number.isFinite(event.bestCost) ? `${event.bestCost.toFixed(1)} ${getCostUnit()}` : '∞'}`;
+    } else if (event.type === 'iteration' && typeof event.depthLimit === 'number') {
+        text = `Depth limit: ${event.depthLimit}`;
+    } else if (typeof event.bound === 'number') {
+        const label = algorithm === 'rbfs' ? 'f-limit' : 'f-bound';
+        text = `${label}: ${Number.isFinite(event.bound) ? `${event.bound.toFixed(1)} ${getCostUnit()}` : '∞'}`;
+    }
+    if (text === null) return;
+    
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.className = 'bound-banner absolute top-2 left-2 px-3 py-1 rounded-md bg-white border border-gray-300 shadow text-sm font-medium text-gray-800';
+        container.appendChild(banner);
+    }
+    banner.textContent = text;
+}
+
+// ============================================================================
+// SEARCH TRACE TIMELINE
+// ============================================================================
+
+/**
+ * Make a recorded trace the current one and rewind the timeline
+ */
+function loadSearchTrace(algorithm, trace) {
+    searchTrace = { algorithm, ...trace };
+    traceIndex = 0;
+    resetSearchTreePanel();
+    
+    const slider = document.getElementById('timelineSlider');
+    if (slider) {
+        slider.max = trace.events.length;
+        slider.disabled = false;
+    }
+    updateTimelineControls();
+}
+
+/**
+ * Show the map, tree panel and results panel as they were after `index` events
+ */
+function renderTraceStep(index) {
+    if (!searchTrace) return;
+    traceIndex = Math.max(0, Math.min(index, searchTrace.events.length));
+    traceRenderId++;
+    
+    d3.selectAll('#graphContainer .node').classed('exploring path start goal traveler', false).classed(DIRECTION_CLASSES, false);
+    d3.selectAll('#graphContainer .link').classed('exploring path', false).classed(REPLANNING_LINK_CLASSES, false);
+    updateBoundBanner(null);
+    resetSearchTreePanel();
+    for (let i = 0; i < traceIndex; i++) {
+        applySearchEventToMap(searchTrace.events[i]);
+        applySearchTreeEvent(searchTrace.events[i]);
+    }
+    renderLiveSearchTree();
+    renderFrontierInspector(findTraceStateEvent(traceIndex));
+    updateTimelineControls();
+    showTraceStepResults();
+}
+
+/**
+ * Latest event with a frontier snapshot among the first `index` trace events
+ */
+function findTraceStateEvent(index) {
+    for (let i = index - 1; i >= 0; i--) {
+        if (searchTrace.events[i].state) return searchTrace.events[i];
+    }
+    return null;
+}
+
+/**
+ * Move the timeline by `delta` steps, pausing a running animation first
+ */
+function stepTrace(delta) {
+    if (!searchTrace) return;
+    if (isSearchRunning && !isPaused) pauseSearch();
+    renderTraceStep(traceIndex + delta);
+}
+
+/**
+ * Replay a finished trace from the current timeline position
+ */
+async function replaySearchTrace() {
+    if (!searchTrace || isSearchRunning) return;
+    if (traceIndex >= searchTrace.events.length) {
+        renderTraceStep(0);
+    }
+    
+    isSearchRunning = true;
+    isPaused = false;
+    const startBtnEl = document.getElementById('startSearch');
+    if (startBtnEl) startBtnEl.disabled = true;
+    updateTimelineControls();
+    try {
+        const result = await playSearchTrace();
+        if (traceIndex >= searchTrace.events.length) {
+            displaySearchResults(result, searchTrace.algorithm);
+        }
+    } finally {
+        isSearchRunning = false;
+        isPaused = false;
+        if (startBtnEl) startBtnEl.disabled = false;
+        updateTimelineControls();
+    }
+}
+
+/**
+ * Sync the slider, step label and playback buttons with the timeline position
+ */
+function updateTimelineControls() {
+    const total = searchTrace ? searchTrace.events.length : 0;
+    const slider = document.getElementById('timelineSlider');
+    if (slider) slider.value = traceIndex;
+    const label = document.getElementById('timelineLabel');
+    if (label) {
+        const event = searchTrace && traceIndex > 0 ? searchTrace.events[traceIndex - 1] : null;
+        label.textContent = `Step ${traceIndex} / ${total}${event ? ' – ' + describeSearchEvent(event) : ''}`;
+    }
+    
+    const pauseBtnEl = document.getElementById('pauseBtn');
+    const resumeBtnEl = document.getElementById('resumeBtn');
+    const replayBtnEl = document.getElementById('replayBtn');
+    if (pauseBtnEl) pauseBtnEl.classList.toggle('hidden', !isSearchRunning || isPaused);
+    if (resumeBtnEl) resumeBtnEl.classList.toggle('hidden', !isSearchRunning || !isPaused);
+    if (replayBtnEl) replayBtnEl.classList.toggle('hidden', isSearchRunning || !searchTrace);
+    ['stepBackBtn', 'stepForwardBtn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.disabled = !searchTrace;
+    });
+}
+
+/**
+ * Human-readable one-line description of a search event
+ */
+function describeSearchEvent(event) {
+    const side = event.direction ? ` [${event.direction}]` : '';
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+    const scores = entry => {
+        if (!entry) return '';
+        const parts = [];
+        if (typeof entry.g === 'number') parts.push(`g=${format(entry.g)}`);
+        if (typeof entry.h === 'number') parts.push(`h=${format(entry.h)}`);
+        if (typeof entry.f === 'number') parts.push(`f=${format(entry.f)}`);
+        return parts.length ? ` (${parts.join(', ')})` : '';
+    };
+    switch (event.type) {
+        case 'push': return `Push ${event.node}${scores(event.entry)}${side}`;
+        case 'pop': return `Pop ${event.node}${scores(event.entry)}${side}`;
+        case 'goal-test':
+            if (event.meeting) {
+                return event.isGoal
+                    ? `Stop: ${event.stoppingRule}, best meeting at ${event.node} (μ=${format(event.bestCost)})`
+                    : `Frontiers meet at ${event.node}: μ=${format(event.bestCost)}${side}`;
+            }
+            return `Goal test ${event.node}: ${event.isGoal ? 'goal' : 'not a goal'}${side}`;
+        case 'prune': {
+            const exceeded = typeof event.f === 'number' ? `: f=${format(event.f)} > ${format(event.bound)}` : '';
+            return `Prune ${event.node} (${event.reason}${exceeded})${side}`;
+        }
+        case 'expanded': return `Finished expanding ${event.node}${side}`;
+        case 'iteration':
+            return typeof event.bound === 'number'
+                ? `IDA* f-bound ${format(event.bound)}`
+                : `IDDFS depth limit ${event.depthLimit}`;
+        case 'path-found': return `Path found: ${event.path.join(' → ')}`;
+        case 'plan':
+            return event.replan
+                ? `Replanned from ${event.node}: ${event.path.join(' → ')} (${format(event.cost)} ${getCostUnit()} to go, ${event.replan.reExpanded} re-expanded vs ${event.replan.astarExpanded} for an A* rerun)`
+                : `Planned ${event.path.join(' → ')} (${format(event.cost)} ${getCostUnit()})`;
+        case 'road-closed': return `Road ${event.road[0]} – ${event.road[1]} closed ahead of the traveler at ${event.node}`;
+        case 'move': return `Traveler drove to ${event.node} (${format(event.cost)} ${getCostUnit()} so far)`;
+        default: return event.type;
+    }
+}
+
+/**
+ * Show the results panel for the current timeline position:
+ * the step's event and metrics, or the full results at the end of the trace
+ */
+function showTraceStepResults() {
+    if (!searchTrace) return;
+    const resultsContainer = document.getElementById('searchResults');
+    if (!resultsContainer) return;
+    const total = searchTrace.events.length;
+    if (traceIndex >= total && !isSearchRunning) {
+        displaySearchResults(searchTrace.result, searchTrace.algorithm);
+        return;
+    }
+    
+    const event = traceIndex > 0 ? searchTrace.events[traceIndex - 1] : null;
+    const metrics = event ? event.metrics : { nodesGenerated: 0, nodesExplored: 0, nodesDiscovered: 0, edgesProcessed: 0, repeatedStates: 0 };
+    let html = `<div class="result-item">`;
+    html += `<h3 class="font-semibold mb-2">${getAlgorithmName(searchTrace.algorithm)} – Step ${traceIndex} of ${total}</h3>`;
+    html += `<p><strong>Event:</strong> ${event ? escapeHtml(describeSearchEvent(event)) : 'Search not started'}</p>`;
+    // D* Lite queue entries have no path: they search backward from the goal
+    if (event && event.entry && event.entry.path) {
+        html += `<p><strong>Current Path:</strong> ${escapeHtml(event.entry.path.join(' → '))}</p>`;
+    }
+    html += getSearchMetrics(metrics);
+    html += '</div>';
+    resultsContainer.innerHTML = html;
+}
+
+// ============================================================================
+// FRONTIER INSPECTOR
+// ============================================================================
+
+/**
+ * Show the frontier structure(s) and explored set(s) carried by a search event
+ */
+function renderFrontierInspector(event) {
+    const container = document.getElementById('frontierInspectorContent');
+    if (!container) return;
+    if (!event || !event.state) {
+        container.innerHTML = '<p class="text-gray-600">Start a search to inspect the frontier and explored set at every step.</p>';
+        return;
+    }
+    
+    const { structures, explored } = event.state;
+    // Closed sets per search direction (undefined for one-directional searches)
+    const closedNodes = direction => new Set(explored
+        .filter(set => set.closed && set.direction === direction)
+        .flatMap(set => set.nodes));
+    const activeEntryId = event.entry ? event.entry.id : null;
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+    const orderNote = {
+        queue: 'Front of the queue first',
+        stack: 'Top of the stack first',
+        priority: 'Next to be popped first'
     };
+    
+    let html = '';
+    structures.forEach(structure => {
+        const counts = new Map();
+        const closed = closedNodes(structure.direction);
+        // Tour searches key their states by (city, visited goals), not by city alone
+        const stateKey = entry => (entry.state ? `${entry.node} ${entry.state}` : entry.node);
+        structure.entries.forEach(entry => counts.set(stateKey(entry), (counts.get(stateKey(entry)) || 0) + 1));
+        const columns = ['g', 'h', 'f'].filter(key => structure.entries.some(entry => typeof entry[key] === 'number'));
+        
+        html += `<div class="mb-4">
+            <h4 class="font-semibold text-gray-800">${structure.label} <span class="font-normal text-gray-500">(${structure.entries.length})</span></h4>
+            <p class="text-xs text-gray-500 mb-1">${orderNote[structure.kind] || ''}</p>`;
+        if (structure.entries.length === 0) {
+            html += '<p class="text-xs text-gray-500 italic">Empty</p></div>';
+            return;
+        }
+        html += `<table class="min-w-full text-xs border border-gray-200 rounded">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-2 py-1 text-left">#</th>
+                    <th class="px-2 py-1 text-left">Node</th>
+                    ${columns.map(key => `<th class="px-2 py-1 text-right">${key}(n)</th>`).join('')}
+                    <th class="px-2 py-1"></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${structure.entries.map((entry, i) => {
+                    const isStale = closed.has(entry.node);
+                    const isDuplicate = counts.get(stateKey(entry)) > 1;
+                    const rowClass = entry.id === activeEntryId ? 'bg-yellow-100' : (isStale ? 'bg-red-50' : 'odd:bg-white even:bg-gray-50');
+                    const badges = [
+                        isStale ? '<span class="px-1 rounded bg-red-100 text-red-700" title="Node is already explored; this entry will be skipped when popped">stale</span>' : '',
+                        isDuplicate ? '<span class="px-1 rounded bg-amber-100 text-amber-700" title="The same node is in the frontier more than once">duplicate</span>' : ''
+                    ].join(' ');
+                    return `<tr class="${rowClass}">
+                        <td class="px-2 py-1">${i + 1}</td>
+                        <td class="px-2 py-1">${escapeHtml(entry.node)}${entry.state ? ` <span class="text-gray-500">${escapeHtml(entry.state)}</span>` : ''}</td>
+                        ${columns.map(key => `<td class="px-2 py-1 text-right">${format(entry[key])}</td>`).join('')}
+                        <td class="px-2 py-1 text-right whitespace-nowrap">${badges}</td>
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table></div>`;
+    });
+    
+    explored.forEach(set => {
+        html += `<div class="mb-4">
+            <h4 class="font-semibold text-gray-800">${set.label} <span class="font-normal text-gray-500">(${set.nodes.length})</span></h4>
+            <div class="flex flex-wrap gap-1 mt-1">
+                ${set.nodes.map(node => `<span class="px-2 py-0.5 rounded-full text-xs ${set.closed ? 'bg-gray-700 text-white' : 'bg-gray-200 text-gray-800'}">${escapeHtml(node)}</span>`).join('')}
+            </div>
+        </div>`;
+    });
+    if (explored.length === 0) {
+        html += '<p class="text-xs text-gray-500 italic">No explored set: cycles are avoided by checking the current path only.</p>';
+    }
+    
+    container.innerHTML = html;
+}
+
+// ============================================================================
+// HEURISTIC TABLE
+// ============================================================================
+
+/**
+ * h(n) table of straight-line estimates to the nearest selected goal in the cost
+ * model's unit, rounded to 0.1
+ */
+function buildStraightLineTable() {
+    const goals = getSelectedGoals();
+    const table = {};
+    graphData.nodes.forEach(node => {
+        const h = goals.size > 0
+            ? SearchEngine.heuristicToGoalOrGoals(searchGraph, node.id, goals)
+            : 0;
+        table[node.id] = Number.isFinite(h) ? Math.round(h * 10) / 10 : 0;
+    });
+    return table;
+}
+
+/**
+ * Refill the custom table with straight-line distances, or with zeros
+ */
+function fillHeuristicTable(useStraightLine) {
+    if (useStraightLine && getSelectedGoals().size === 0) {
+        showError('Please select at least one destination city to fill the heuristic table.');
+        return;
+    }
+    heuristicTable = useStraightLine
+        ? buildStraightLineTable()
+        : Object.fromEntries(graphData.nodes.map(node => [node.id, 0]));
+    updateActiveHeuristic();
+    updateHeuristicLabelsForGraph();
+}
+
+/**
+ * Render the editable h(n) table (only while the custom table heuristic is selected)
+ */
+function renderHeuristicTable() {
+    const container = document.getElementById('heuristicTable');
+    if (!container || !graphData) return;
+    if (document.getElementById('heuristic')?.value !== 'table') {
+        container.innerHTML = '';
+        return;
+    }
+    const goals = getSelectedGoals();
+    const goalLabel = goals.size > 0 ? Array.from(goals).join(', ') : 'goal';
+    const cities = [...graphData.nodes].sort((a, b) => a.id.localeCompare(b.id));
+    container.innerHTML = `
+        <table class="min-w-full text-xs border border-gray-200 rounded">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-2 py-1 text-left">City</th>
+                    <th class="px-2 py-1 text-right">h(n) to ${escapeHtml(goalLabel)}</th>
+                    <th class="px-2 py-1 text-right">h*(n)</th>
+                    <th class="px-2 py-1 text-left">Check</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${cities.map(city => `
+                    <tr class="odd:bg-white even:bg-gray-50" data-city="${escapeHtml(city.id)}">
+                        <td class="px-2 py-1">${escapeHtml(city.id)}</td>
+                        <td class="px-2 py-1 text-right">
+                            <input type="number" min="0" step="0.1" value="${heuristicTable[city.id] ?? 0}" data-city="${escapeHtml(city.id)}"
+                                class="h-table-input w-20 px-1 py-0.5 border border-gray-300 rounded text-right">
+                        </td>
+                        <td class="px-2 py-1 text-right h-table-true"></td>
+                        <td class="px-2 py-1 h-table-status"></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    container.querySelectorAll('.h-table-input').forEach(input => {
+        input.addEventListener('input', function() {
+            const value = parseFloat(this.value);
+            if (Number.isFinite(value) && value >= 0) {
+                heuristicTable[this.dataset.city] = value;
+            } else {
+                delete heuristicTable[this.dataset.city];
+            }
+            // The table heuristic reads heuristicTable directly, so no rebuild is needed
+            updateHeuristicLabelsForGraph();
+            clearHeuristicCheck();
+            markHeuristicTableViolations();
+        });
+    });
+    markHeuristicTableViolations();
+}
+
+/**
+ * Turn table cells red where h(n) > h*(n) or h(n) > c(n, m) + h(m), using
+ * true costs from a uniform-cost search out of the goal(s)
+ */
+function markHeuristicTableViolations() {
+    const container = document.getElementById('heuristicTable');
+    if (!container) return;
+    const goals = getSelectedGoals();
+    const report = goals.size > 0 ? SearchEngine.checkHeuristic(searchGraph, goals, calculateHeuristic) : null;
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+
+    container.querySelectorAll('tr[data-city]').forEach(row => {
+        const city = row.dataset.city;
+        const input = row.querySelector('.h-table-input');
+        const trueCell = row.querySelector('.h-table-true');
+        const statusCell = row.querySelector('.h-table-status');
+        if (!report) {
+            trueCell.textContent = '–';
+            statusCell.textContent = 'Select a goal';
+            input.classList.remove('bg-red-100', 'border-red-500', 'text-red-700');
+            return;
+        }
+        trueCell.textContent = format(report.trueCosts.has(city) ? report.trueCosts.get(city) : Infinity);
+        const problems = [];
+        const inadmissible = report.inadmissible.find(v => v.node === city);
+        if (inadmissible) {
+            problems.push(`h > h* by ${format(inadmissible.excess)}`);
+        }
+        report.inconsistent.filter(v => v.source === city).forEach(v => {
+            problems.push(`h > c + h(${escapeHtml(v.target)})`);
+        });
+        const bad = problems.length > 0;
+        input.classList.toggle('bg-red-100', bad);
+        input.classList.toggle('border-red-500', bad);
+        input.classList.toggle('text-red-700', bad);
+        statusCell.innerHTML = bad
+            ? `<span class="text-red-600">${problems.join('; ')}</span>`
+            : '<span class="text-green-700">OK</span>';
+    });
+}
+
+// ============================================================================
+// ALTERNATIVE ROUTES
+// ============================================================================
+
+// One colour per route, best route first
+const ROUTE_COLORS = ['#16a34a', '#2563eb', '#f59e0b', '#db2777', '#7c3aed', '#0891b2', '#ea580c', '#65a30d', '#be123c', '#475569'];
+const MAX_ALTERNATIVE_ROUTES = ROUTE_COLORS.length;
+
+/**
+ * Find the K cheapest loopless routes from the start to the selected goal(s)
+ * with Yen's algorithm, colour them on the map and list them side by side
+ */
+function findAlternativeRoutes() {
+    if (isSearchRunning) return;
+    const startCity = document.getElementById('startCity').value;
+    const goals = getSelectedGoals();
+    if (!startCity || goals.size === 0) {
+        showError('Please select a start city and at least one destination city.');
+        return;
+    }
+    if (closedCities.has(startCity)) {
+        showError(`The start city ${startCity} is closed. Click it on the map to reopen it.`);
+        return;
+    }
+    const k = parseInt(document.getElementById('routeCount').value, 10);
+    if (!(k >= 1 && k <= MAX_ALTERNATIVE_ROUTES)) {
+        showError(`The number of routes K must be between 1 and ${MAX_ALTERNATIVE_ROUTES}.`);
+        return;
+    }
+    resetVisualization();
+
+    const routes = SearchEngine.kShortestPaths(searchGraph, startCity, goals, k);
+    if (routes.length === 0) {
+        showError(`No route exists from ${startCity} to ${SearchEngine.describeGoal(goals)}.`);
+        return;
+    }
+    // Draw the worst route first so the better routes stay on top where they share roads
+    routes.slice().reverse().forEach((route, i) => {
+        const color = ROUTE_COLORS[routes.length - 1 - i];
+        for (let j = 1; j < route.path.length; j++) {
+            highlightPathEdge(route.path[j - 1], route.path[j], color);
+        }
+    });
+    selectCityNode(startCity).classed('start', true);
+    routes.forEach(route => selectCityNode(route.path[route.path.length - 1]).classed('goal', true));
+    updateStatus(`Found ${routes.length} of ${k} requested routes`);
+
+    const container = document.getElementById('alternativeRoutesResults');
+    if (container) container.innerHTML = renderAlternativeRoutes(routes, k);
+}
+
+/**
+ * Remove the alternative routes from the map and the results panel
+ */
+function clearAlternativeRoutes() {
+    d3.selectAll('#graphContainer .link.alternative-route')
+        .classed('alternative-route', false)
+        .style('stroke', null);
+    const container = document.getElementById('alternativeRoutesResults');
+    if (container) container.innerHTML = '';
+}
+
+/**
+ * Cost of the roads a route shares with the best route (roads are undirected)
+ */
+function sharedRouteDistance(path, bestPath) {
+    const bestRoads = new Set();
+    for (let i = 1; i < bestPath.length; i++) bestRoads.add(getRoadKey(bestPath[i - 1], bestPath[i]));
+    let shared = 0;
+    for (let i = 1; i < path.length; i++) {
+        if (bestRoads.has(getRoadKey(path[i - 1], path[i]))) {
+            shared += calculatePathCost([path[i - 1], path[i]]);
+        }
+    }
+    return shared;
+}
+
+/**
+ * HTML table of the K shortest routes: cost, extra cost, hops and overlap with the best route
+ */
+function renderAlternativeRoutes(routes, k) {
+    const format = v => (Number.isFinite(v) ? v.toFixed(1) : '∞');
+    const best = routes[0];
+    const bestCost = calculatePathCost(best.path);
+    let html = '<div class="result-item success">';
+    html += `<h3 class="font-semibold mb-2">K Shortest Routes (Yen's algorithm)</h3>`;
+    if (routes.length < k) {
+        html += `<p class="text-sm text-gray-600">Only ${routes.length} loopless route(s) exist; ${k} were requested.</p>`;
+    }
+    html += `
+        <div class="mt-2 overflow-auto">
+            <table class="min-w-full text-xs border border-gray-200 rounded">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-2 py-1 text-left">#</th>
+                        <th class="px-2 py-1 text-left">Route</th>
+                        <th class="px-2 py-1 text-right">Cost (${getCostUnit()})</th>
+                        <th class="px-2 py-1 text-right">vs Best</th>
+                        <th class="px-2 py-1 text-right">Hops</th>
+                        <th class="px-2 py-1 text-right">Overlap with Best</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${routes.map((route, i) => {
+                        const cost = calculatePathCost(route.path);
+                        const shared = sharedRouteDistance(route.path, best.path);
+                        const overlap = bestCost > 0 ? (shared / bestCost) * 100 : 100;
+                        return `
+                        <tr class="odd:bg-white even:bg-gray-50">
+                            <td class="px-2 py-1 whitespace-nowrap">
+                                <span class="inline-block w-3 h-3 rounded-full align-middle" style="background-color: ${ROUTE_COLORS[i]};"></span>
+                                ${i + 1}
+                            </td>
+                            <td class="px-2 py-1">${escapeHtml(route.path.join(' → '))}</td>
+                            <td class="px-2 py-1 text-right">${format(cost)}</td>
+                            <td class="px-2 py-1 text-right">${i === 0 ? '–' : `+${format(cost - bestCost)}`}</td>
+                            <td class="px-2 py-1 text-right">${route.path.length - 1}</td>
+                            <td class="px-2 py-1 text-right">${overlap.toFixed(0)}% (${format(shared)} ${getCostUnit()})</td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+        <p class="mt-1 text-xs text-gray-600">Overlap is the length of road a route shares with the best route, as a share of the best route's length.</p>
+    </div>`;
+    return html;
+}
+
+// ============================================================================
+// PARETO ROUTES
+// ============================================================================
+
+/**
+ * Find the routes from the start to the selected goal(s) that no other route
+ * beats on both chosen objectives, and plot them against each other
+ */
+function findParetoRoutes() {
+    if (isSearchRunning) return;
+    const startCity = document.getElementById('startCity').value;
+    const goals = getSelectedGoals();
+    if (!startCity || goals.size === 0) {
+        showError('Please select a start city and at least one destination city.');
+        return;
+    }
+    if (closedCities.has(startCity)) {
+        showError(`The start city ${startCity} is closed. Click it on the map to reopen it.`);
+        return;
+    }
+    const objectives = [
+        document.getElementById('paretoObjectiveX').value,
+        document.getElementById('paretoObjectiveY').value
+    ];
+    if (objectives[0] === objectives[1]) {
+        showError('Choose two different objectives for the Pareto front.');
+        return;
+    }
+    resetVisualization();
+
+    let routes;
+    try {
+        routes = SearchEngine.paretoRoutes(searchGraph, startCity, goals, objectives);
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    if (routes.length === 0) {
+        showError(`No route exists from ${startCity} to ${SearchEngine.describeGoal(goals)}.`);
+        return;
+    }
+    selectCityNode(startCity).classed('start', true);
+    routes.forEach(route => selectCityNode(route.path[route.path.length - 1]).classed('goal', true));
+    updateStatus(`Found ${routes.length} non-dominated route(s); hover a point to see its route`);
+
+    const container = document.getElementById('paretoResults');
+    if (!container) return;
+    container.innerHTML = renderParetoRoutes(routes, objectives);
+    drawParetoScatter(container.querySelector('.pareto-plot'), routes, objectives);
+}
+
+/**
+ * Remove the Pareto front from the map and the results panel
+ */
+function clearParetoRoutes() {
+    highlightParetoRoute(null);
+    const container = document.getElementById('paretoResults');
+    if (container) container.innerHTML = '';
+}
+
+/**
+ * Show one route of the front with the map's final-path styling (null clears it)
+ */
+function highlightParetoRoute(route) {
+    d3.selectAll('#graphContainer .node.path, #graphContainer .link.path').classed('path', false);
+    d3.selectAll('.pareto-point').classed('active', d => d === route);
+    if (!route) return;
+    route.path.forEach(city => selectCityNode(city).classed('path', true));
+    for (let i = 1; i < route.path.length; i++) {
+        highlightPathEdge(route.path[i - 1], route.path[i]);
+    }
+}
+
+/**
+ * Axis title of an objective, e.g. "Tolls (LKR)"
+ */
+function getObjectiveTitle(objective) {
+    const model = SearchEngine.costModels[objective];
+    return `${model.label} (${model.unit})`;
+}
+
+/**
+ * Results panel entry for the Pareto front: the scatter plot and a table of routes
+ */
+function renderParetoRoutes(routes, objectives) {
+    const format = v => (Number.isFinite(v) ? Number(v.toFixed(2)) : '∞');
+    return `<div class="result-item success">
+        <h3 class="font-semibold mb-2">Pareto Front: ${getObjectiveTitle(objectives[0])} vs ${getObjectiveTitle(objectives[1])}</h3>
+        <p class="text-sm text-gray-600">${routes.length} non-dominated route(s): each is cheaper than the others on at least one objective.</p>
+        <div class="pareto-plot mt-2"></div>
+        <div class="mt-2 overflow-auto">
+            <table class="min-w-full text-xs border border-gray-200 rounded">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-2 py-1 text-left">#</th>
+                        <th class="px-2 py-1 text-left">Route</th>
+                        ${objectives.map(objective => `<th class="px-2 py-1 text-right">${getObjectiveTitle(objective)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${routes.map((route, i) => `
+                        <tr class="odd:bg-white even:bg-gray-50">
+                            <td class="px-2 py-1">${i + 1}</td>
+                            <td class="px-2 py-1">${escapeHtml(route.path.join(' → '))}</td>
+                            ${objectives.map(objective => `<td class="px-2 py-1 text-right">${format(route.costs[objective])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    </div>`;
+}
+
+/**
+ * Scatter plot of the front (first objective on x, second on y). Hovering a
+ * point highlights its route on the map.
+ */
+function drawParetoScatter(container, routes, objectives) {
+    if (!container) return;
+    const plotMargin = { top: 10, right: 16, bottom: 40, left: 56 };
+    const plotWidth = 360 - plotMargin.left - plotMargin.right;
+    const plotHeight = 220 - plotMargin.top - plotMargin.bottom;
+    const [xKey, yKey] = objectives;
+    // Pad the domains so a single point or a flat front still gets a visible range
+    const paddedDomain = values => {
+        const low = d3.min(values);
+        const high = d3.max(values);
+        const pad = (high - low) * 0.1 || Math.max(Math.abs(high) * 0.1, 1);
+        return [Math.max(0, low - pad), high + pad];
+    };
+    const x = d3.scaleLinear().domain(paddedDomain(routes.map(route => route.costs[xKey]))).range([0, plotWidth]).nice();
+    const y = d3.scaleLinear().domain(paddedDomain(routes.map(route => route.costs[yKey]))).range([plotHeight, 0]).nice();
+
+    const plot = d3.select(container).append('svg')
+        .attr('width', plotWidth + plotMargin.left + plotMargin.right)
+        .attr('height', plotHeight + plotMargin.top + plotMargin.bottom)
+        .append('g')
+        .attr('transform', `translate(${plotMargin.left},${plotMargin.top})`);
+    plot.append('g').attr('transform', `translate(0,${plotHeight})`).call(d3.axisBottom(x).ticks(5));
+    plot.append('g').call(d3.axisLeft(y).ticks(5));
+    plot.append('text')
+        .attr('class', 'text-xs')
+        .attr('x', plotWidth / 2)
+        .attr('y', plotHeight + 34)
+        .attr('text-anchor', 'middle')
+        .text(getObjectiveTitle(xKey));
+    plot.append('text')
+        .attr('class', 'text-xs')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -plotHeight / 2)
+        .attr('y', -44)
+        .attr('text-anchor', 'middle')
+        .text(getObjectiveTitle(yKey));
+
+    // Routes arrive sorted by the first objective, so a step line traces the front
+    plot.append('path')
+        .attr('class', 'pareto-front-line')
+        .attr('d', d3.line().curve(d3.curveStepAfter)
+            .x(route => x(route.costs[xKey]))
+            .y(route => y(route.costs[yKey]))(routes));
+    plot.selectAll('.pareto-point')
+        .data(routes)
+        .enter()
+        .append('circle')
+        .attr('class', 'pareto-point')
+        .attr('r', 6)
+        .attr('cx', route => x(route.costs[xKey]))
+        .attr('cy', route => y(route.costs[yKey]))
+        .on('mouseenter', (event, route) => highlightParetoRoute(route))
+        .on('mouseleave', () => highlightParetoRoute(null))
+        .append('title')
+        .text(route => `${route.path.join(' → ')}\n${objectives.map(key => `${getObjectiveTitle(key)}: ${Number(route.costs[key].toFixed(2))}`).join('\n')}`);
+}
+
+// ============================================================================
+// CLOSURES
+// ============================================================================
+
+/**
+ * Direction-independent key of the road between two cities
+ */
+function getRoadKey(cityA, cityB) {
+    return cityA < cityB ? `${cityA}|${cityB}` : `${cityB}|${cityA}`;
+}
+
+/**
+ * Close a city to all traffic, or reopen it
+ */
+function toggleCityClosure(cityId) {
+    if (isSearchRunning) return;
+    if (closedCities.has(cityId)) {
+        closedCities.delete(cityId);
+    } else {
+        closedCities.add(cityId);
+    }
+    applyClosures();
+    updateStatus(`${cityId} is now ${closedCities.has(cityId) ? 'closed' : 'open'}`);
+}
+
+/**
+ * Close the road between two cities (both directions), or reopen it
+ */
+function toggleRoadClosure(sourceId, targetId) {
+    if (isSearchRunning) return;
+    const key = getRoadKey(sourceId, targetId);
+    if (closedRoads.has(key)) {
+        closedRoads.delete(key);
+    } else {
+        closedRoads.set(key, [sourceId, targetId]);
+    }
+    applyClosures();
+    updateStatus(`Road ${sourceId} – ${targetId} is now ${closedRoads.has(key) ? 'closed' : 'open'}`);
+}
+
+/**
+ * Throw unless every closed city and road exists in the current graph
+ */
+function validateClosures(cities, roads) {
+    const unknownCities = cities.filter(city => !getNodeById(city));
+    if (unknownCities.length > 0) {
+        throw new Error(`Unknown closed cities: ${unknownCities.join(', ')}`);
+    }
+    const unknownRoads = roads.filter(road => !Array.isArray(road) || !getLinkByNodes(road[0], road[1]));
+    if (unknownRoads.length > 0) {
+        throw new Error(`Unknown closed roads: ${unknownRoads.map(road => JSON.stringify(road)).join(', ')}`);
+    }
+}
+
+/**
+ * Replace all closures, e.g. from a scenario. Throws on unknown cities or roads.
+ */
+function setClosures(cities = [], roads = []) {
+    validateClosures(cities, roads);
+    closedCities = new Set(cities);
+    closedRoads = new Map(roads.map(([a, b]) => [getRoadKey(a, b), [a, b]]));
+    applyClosures();
+}
+
+/**
+ * Rebuild the search graph without the closed cities and roads, so every
+ * algorithm, heuristic check and route query sees the closures
+ */
+function applyClosures() {
+    if (!fullGraph) return;
+    resetVisualization();
+    searchGraph = closedCities.size === 0 && closedRoads.size === 0
+        ? fullGraph
+        : SearchEngine.withClosures(fullGraph, {
+            closedNodes: Array.from(closedCities),
+            closedRoads: Array.from(closedRoads.values())
+        });
+    // Landmark (ALT) bounds and the heuristic table checks depend on the roads
+    updateActiveHeuristic();
+    updateHeuristicLabelsForGraph();
+    renderClosures();
+}
+
+/**
+ * Strike through the closed cities and roads on a map, the main one by
+ * default; other maps pass their own scales
+ */
+function renderClosures(container = getMainMapContainer(), mapXScale = xScale, mapYScale = yScale) {
+    const map = d3.select(container);
+    map.selectAll('.node').classed('closed', d => closedCities.has(d.id));
+    map.selectAll('.node-label').classed('closed', d => closedCities.has(d.id));
+    map.selectAll('.link').classed('closed', d => closedRoads.has(getRoadKey(d.source, d.target)));
+
+    const marks = map.select('.closure-marks');
+    if (marks.empty()) return;
+    // A short bar across the middle of each closed road
+    const roadMarks = Array.from(closedRoads.values()).map(([a, b]) => {
+        const x1 = mapXScale(getNodeById(a).lon);
+        const y1 = mapYScale(getNodeById(a).lat);
+        const x2 = mapXScale(getNodeById(b).lon);
+        const y2 = mapYScale(getNodeById(b).lat);
+        const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+        // Unit normal to the road, 8px to each side of the midpoint
+        const nx = -(y2 - y1) / length * 8;
+        const ny = (x2 - x1) / length * 8;
+        const mx = (x1 + x2) / 2;
+        const my = (y1 + y2) / 2;
+        return { x1: mx - nx, y1: my - ny, x2: mx + nx, y2: my + ny };
+    });
+    // A diagonal bar across each closed city
+    const cityMarks = Array.from(closedCities).map(city => {
+        const x = mapXScale(getNodeById(city).lon);
+        const y = mapYScale(getNodeById(city).lat);
+        const r = NODE_RADIUS + 3;
+        return { x1: x - r, y1: y + r, x2: x + r, y2: y - r };
+    });
+    marks.selectAll('line')
+        .data([...roadMarks, ...cityMarks])
+        .join('line')
+        .attr('class', 'closure-mark')
+        .attr('x1', d => d.x1)
+        .attr('y1', d => d.y1)
+        .attr('x2', d => d.x2)
+        .attr('y2', d => d.y2);
+}
+
+// ============================================================================
+// SEARCH MODES
+// ============================================================================
+
+// Deepest level a tree preview draws in tree-search mode, where nothing stops cycles
+const TREE_PREVIEW_MAX_DEPTH = 5;
+// Most nodes a tree preview draws
+const TREE_PREVIEW_MAX_NODES = 150;
+
+/**
+ * Selected repeated-state handling ('graph', 'tree' or 'path-checking'), or ''
+ * for each algorithm's default
+ */
+function getSearchMode() {
+    return document.getElementById('searchMode')?.value || '';
+}
+
+/**
+ * Search mode an algorithm runs in with the current selection
+ */
+function getResolvedSearchMode(algorithm) {
+    return SearchEngine.resolveSearchMode(algorithm, getSearchMode());
+}
+
+/**
+ * Cities and tree nodes a tree preview has drawn so far
+ */
+function createPreviewTally() {
+    return { cities: new Set(), nodes: 0 };
+}
+
+/**
+ * Record a drawn tree node
+ */
+function tallyPreviewNode(tally, node) {
+    tally.cities.add(node);
+    tally.nodes++;
+}
+
+/**
+ * Whether a tree preview leaves out `node` below the ancestors `path`: graph
+ * search draws every city once, path checking stops at cycles and tree search
+ * only at the depth cap
+ */
+function isPrunedInPreview(mode, node, path, tally) {
+    if (tally.nodes >= TREE_PREVIEW_MAX_NODES) return true;
+    if (mode === 'graph') return tally.cities.has(node);
+    if (mode === 'path-checking') return path.includes(node);
+    return path.length > TREE_PREVIEW_MAX_DEPTH;
+}
+
+// ============================================================================
+// SUCCESSOR ORDER AND TIE-BREAKING
+// ============================================================================
+
+/**
+ * Successor order, tie-breaking rule and seed from the selectors, in the
+ * engine's problem fields
+ */
+function getOrderingOptions() {
+    return {
+        successorOrder: document.getElementById('successorOrder')?.value || 'file',
+        tieBreaking: document.getElementById('tieBreaking')?.value || 'fifo',
+        seed: parseInt(document.getElementById('orderSeed')?.value, 10) || 1
+    };
+}
+
+/**
+ * Neighbors of a city in the selected successor order; the heuristic order
+ * uses the nearest of the goals
+ */
+function getOrderedNeighbors(cityId, goalSet) {
+    const goals = Array.from(goalSet);
+    return SearchEngine.orderSuccessors(searchGraph, cityId, {
+        ...getOrderingOptions(),
+        estimate: id => Math.min(...goals.map(goal => calculateHeuristic(id, goal)))
+    });
+}
+
+/**
+ * The seed only matters for the random order
+ */
+function updateOrderSeedVisibility() {
+    const seed = document.getElementById('orderSeed');
+    if (seed) seed.disabled = getOrderingOptions().successorOrder !== 'random';
+}
+
+// ============================================================================
+// COST MODELS
+// ============================================================================
+
+/**
+ * Key of the selected cost model (see SearchEngine.costModels)
+ */
+function getCostModel() {
+    return document.getElementById('costModel')?.value || 'distance';
+}
+
+/**
+ * Unit of path costs under the selected cost model ('km', 'min', 'LKR' or 'L')
+ */
+function getCostUnit() {
+    return fullGraph ? fullGraph.costUnit : 'km';
+}
+
+/**
+ * Name of the quantity being minimized ('Distance', 'Travel time', ...)
+ */
+function getCostLabel() {
+    return fullGraph ? fullGraph.costLabel : 'Distance';
+}
+
+/**
+ * Rebuild the graph with the selected cost model. Closures, heuristics and
+ * edge labels all follow, since they are derived from fullGraph.
+ */
+function updateCostModel() {
+    if (!graphData) return;
+    fullGraph = SearchEngine.createGraph(graphData, { costModel: getCostModel() });
+    applyClosures();
+    renderEdgeLabels();
+    clearHeuristicCheck();
+}
+
+/**
+ * Label every road with its cost under the selected cost model
+ */
+function renderEdgeLabels(container = getMainMapContainer()) {
+    const unit = getCostUnit();
+    d3.select(container).selectAll('.edge-label')
+        .text(d => `${Number(fullGraph.linkCost(d).toFixed(1))}${unit === 'km' ? 'km' : ' ' + unit}`);
+}
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+const SCENARIO_VERSION = 1;
+
+/**
+ * Snapshot of the current setup (algorithm, cities, parameters and heuristic)
+ */
+function getScenario() {
+    return {
+        version: SCENARIO_VERSION,
+        algorithm: document.getElementById('algorithm').value,
+        start: document.getElementById('startCity').value,
+        goals: Array.from(getSelectedGoals()),
+        depthLimit: parseInt(document.getElementById('depthLimit')?.value, 10) || 5,
+        heuristicWeight: parseFloat(document.getElementById('heuristicWeight')?.value ?? '1'),
+        closeAfterSteps: parseInt(document.getElementById('closeAfterSteps')?.value, 10) || 0,
+        costModel: getCostModel(),
+        searchMode: getSearchMode(),
+        ...getOrderingOptions(),
+        heuristic: {
+            name: document.getElementById('heuristic')?.value || 'haversine',
+            scale: parseFloat(document.getElementById('heuristicScale')?.value ?? '1'),
+            table: { ...heuristicTable }
+        },
+        closures: {
+            cities: Array.from(closedCities),
+            roads: Array.from(closedRoads.values())
+        }
+    };
+}
+
+/**
+ * Restore a scenario produced by getScenario. Throws on cities or settings
+ * that do not exist in the current graph; every field is checked before any
+ * is applied, so an invalid scenario leaves the current settings untouched.
+ */
+function applyScenario(scenario) {
+    if (!scenario || typeof scenario !== 'object') {
+        throw new Error('Scenario must be a JSON object');
+    }
+    const cities = [scenario.start, ...(scenario.goals || [])].filter(Boolean);
+    const unknown = cities.filter(city => !getNodeById(city));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown cities in scenario: ${unknown.join(', ')}`);
+    }
+    const goalOptions = new Set(getDecCityIds());
+    const invalidGoals = (scenario.goals || []).filter(goal => !goalOptions.has(goal));
+    if (invalidGoals.length > 0) {
+        throw new Error(`Goals must be DECs: ${invalidGoals.join(', ')}`);
+    }
+    const selects = {
+        algorithm: scenario.algorithm,
+        startCity: scenario.start,
+        // Scenarios saved before cost models existed minimize distance
+        costModel: scenario.costModel || 'distance',
+        // ... before the search mode switch use each algorithm's default
+        searchMode: scenario.searchMode || '',
+        // ... and file order with FIFO ties
+        successorOrder: scenario.successorOrder || 'file',
+        tieBreaking: scenario.tieBreaking || 'fifo',
+        heuristic: scenario.heuristic ? scenario.heuristic.name : undefined
+    };
+    Object.entries(selects).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (!el || value === undefined) return;
+        if (value !== '' && !Array.from(el.options).some(option => option.value === value)) {
+            throw new Error(`"${value}" is not a valid choice for ${id}`);
+        }
+    });
+    // Scenarios saved before closures existed have none
+    const closures = scenario.closures || {};
+    validateClosures(closures.cities || [], closures.roads || []);
+
+    const setSelect = id => {
+        const el = document.getElementById(id);
+        if (el && selects[id] !== undefined) el.value = selects[id];
+    };
+    const setInput = (id, value) => {
+        const el = document.getElementById(id);
+        if (el && value !== undefined && value !== null) el.value = value;
+    };
+    resetVisualization();
+    setSelect('algorithm');
+    setSelect('startCity');
+    setSelectedGoals(scenario.goals || [], false);
+    setInput('depthLimit', scenario.depthLimit);
+    setInput('heuristicWeight', scenario.heuristicWeight);
+    setInput('closeAfterSteps', scenario.closeAfterSteps);
+    setSelect('costModel');
+    if (fullGraph && fullGraph.costModel !== getCostModel()) {
+        fullGraph = SearchEngine.createGraph(graphData, { costModel: getCostModel() });
+        renderEdgeLabels();
+    }
+    setSelect('searchMode');
+    setSelect('successorOrder');
+    setSelect('tieBreaking');
+    setInput('orderSeed', scenario.seed);
+    if (scenario.heuristic) {
+        setSelect('heuristic');
+        setInput('heuristicScale', scenario.heuristic.scale);
+        heuristicTable = { ...(scenario.heuristic.table || {}) };
+    }
+    setClosures(closures.cities || [], closures.roads || []);
+
+    // Let the usual change handlers refresh visibility, labels, tree and heuristic
+    ['algorithm', 'startCity', 'goalCities', 'searchMode', 'successorOrder', 'heuristic'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.dispatchEvent(new Event('change'));
+    });
+}
+
+/**
+ * Download the current scenario as JSON
+ */
+function saveScenario() {
+    downloadFile(JSON.stringify(getScenario(), null, 2), 'scenario.json', 'application/json');
+}
+
+/**
+ * Offer text as a file download
+ */
+function downloadFile(contents, filename, type) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Load a scenario JSON file chosen by the user
+ */
+async function loadScenarioFile(file) {
+    try {
+        applyScenario(JSON.parse(await file.text()));
+        updateStatus(`Loaded scenario from ${file.name}`);
+    } catch (error) {
+        console.error('Scenario load error:', error);
+        showError(`Could not load scenario: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// CUSTOM GRAPHS
+// ============================================================================
+
+// Validation errors listed before the rest are summarized
+const MAX_GRAPH_ERRORS_SHOWN = 20;
+
+/**
+ * Replace the graph with validated graph data ({ nodes, links }): closures,
+ * the custom heuristic table, benchmark and comparison results all refer to
+ * the old cities, so they are cleared before the map, dropdowns and tree
+ * panel are rebuilt
+ */
+function loadGraphData(data) {
+    resetVisualization();
+    closeGraphEditor();
+    graphData = data;
+    closedCities = new Set();
+    closedRoads = new Map();
+    heuristicTable = {};
+    clearGraphResults();
+
+    fullGraph = SearchEngine.createGraph(graphData, { costModel: getCostModel() });
+    searchGraph = fullGraph;
+    updateActiveHeuristic();
+
+    // Setup graph visualization
+    getMainMapContainer().innerHTML = '';
+    ({ svg, width, height, xScale, yScale } = setupGraph());
+    updateHeuristicLabelsForGraph();
+
+    // Populate city dropdowns
+    populateCityDropdowns();
+    renderTreeSearchGraph();
+}
+
+/**
+ * Drop the benchmark table and the side-by-side comparison, which were run
+ * on the graph before it changed
+ */
+function clearGraphResults() {
+    benchmarkRows = null;
+    comparison = null;
+    const benchmarkResults = document.getElementById('benchmarkResults');
+    if (benchmarkResults) benchmarkResults.innerHTML = '';
+    const comparePanel = document.getElementById('comparePanel');
+    if (comparePanel) comparePanel.classList.add('hidden');
+    TWIN_MAPS.forEach(letter => {
+        const twinMap = document.getElementById(`twinMap${letter}`);
+        if (twinMap) twinMap.innerHTML = '';
+    });
+}
+
+/**
+ * Load a graph chosen or dropped by the user: one JSON, GeoJSON, DOT or
+ * GraphML file, or a CSV node table and edge table (see GraphFormats).
+ * Invalid graphs leave the current one in place and list what is wrong.
+ */
+async function loadGraphFiles(files) {
+    const names = files.map(file => file.name).join(' + ');
+    let data;
+    try {
+        const texts = await Promise.all(files.map(file => file.text()));
+        data = GraphFormats.importGraph(files.map((file, i) => ({ name: file.name, text: texts[i] })));
+    } catch (error) {
+        console.error('Graph load error:', error);
+        showError(`Could not read ${names}: ${error.message}`);
+        return;
+    }
+    const errors = SearchEngine.validateGraphData(data);
+    if (errors.length > 0) {
+        showGraphErrors(names, errors);
+        return;
+    }
+    loadGraphData(data);
+    updateStatus(`Loaded graph from ${names}: ${data.nodes.length} cities, ${data.links.length} links`);
+}
+
+/**
+ * Download the current graph (with any edits) in a GraphFormats format,
+ * unless it is invalid
+ */
+function exportGraph(format) {
+    const errors = SearchEngine.validateGraphData(graphData);
+    if (errors.length > 0) {
+        showGraphErrors('The graph', errors);
+        return;
+    }
+    GraphFormats.exportGraph(format, graphData).forEach(file => downloadFile(file.contents, file.filename, file.mimeType));
+}
+
+/**
+ * List the validation errors of a rejected graph file in the results panel
+ */
+function showGraphErrors(fileName, errors) {
+    const more = errors.length - MAX_GRAPH_ERRORS_SHOWN;
+    document.getElementById('searchResults').innerHTML = `
+        <div class="result-item error">
+            <p><strong>Error:</strong> ${escapeHtml(fileName)} is not a valid graph (${errors.length} problem${errors.length === 1 ? '' : 's'}):</p>
+            <ul class="list-disc ml-5 mt-1 text-sm">
+                ${errors.slice(0, MAX_GRAPH_ERRORS_SHOWN).map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+            </ul>
+            ${more > 0 ? `<p class="text-xs text-gray-600 mt-1">…and ${more} more</p>` : ''}
+        </div>
+    `;
+}
+
+// ============================================================================
+// GRAPH EDITOR
+// ============================================================================
+
+// Snapshots kept for undo
+const MAX_EDITOR_UNDO = 100;
+// Decimal places of edited coordinates (about 10 m)
+const EDITOR_COORDINATE_DECIMALS = 4;
+const EDITOR_HINTS = {
+    'move': 'Drag a city to move it. Click a city or road to edit it.',
+    'add-city': 'Click an empty spot on the map to add a city of the "New cities" type.',
+    'add-road': 'Click two cities to connect them; the distance starts at the straight-line distance.',
+    'delete': 'Click a city (with its roads) or a road to delete it.'
+};
+
+/**
+ * Open the graph editor, or close it and fit the map to the edited cities.
+ * While it is open, map clicks edit the graph instead of closing cities and roads.
+ */
+function toggleGraphEditor() {
+    if (graphEditor) {
+        closeGraphEditor();
+        if (graphData.nodes.length > 0) redrawMainMap();
+        applyClosures();
+        updateStatus('Graph editor closed');
+        return;
+    }
+    if (isSearchRunning) return;
+    resetVisualization();
+    clearGraphResults();
+    graphEditor = {
+        tool: document.getElementById('editTool')?.value || 'move',
+        selection: null, // { city } or { road: [cityA, cityB] }
+        roadStart: null, // first city of a road being drawn
+        undoStack: [],
+        redoStack: []
+    };
+    getMainMapContainer().classList.add('editing');
+    document.getElementById('graphEditorPanel')?.classList.remove('hidden');
+    const editBtn = document.getElementById('editGraphBtn');
+    if (editBtn) editBtn.textContent = 'Done Editing';
+    renderGraphEditor();
+    updateStatus('Graph editor opened');
+}
+
+/**
+ * Leave edit mode without redrawing the map
+ */
+function closeGraphEditor() {
+    graphEditor = null;
+    getMainMapContainer().classList.remove('editing');
+    document.getElementById('graphEditorPanel')?.classList.add('hidden');
+    const editBtn = document.getElementById('editGraphBtn');
+    if (editBtn) editBtn.textContent = 'Edit Graph';
+    d3.selectAll('#graphContainer .editor-selected, #graphContainer .editor-road-start')
+        .classed('editor-selected editor-road-start', false);
+}
+
+/**
+ * Redraw the main map, keeping its zoom. While editing, the lon/lat domains
+ * stay fixed so the cities do not shift as the graph's extent changes.
+ */
+function redrawMainMap() {
+    const container = getMainMapContainer();
+    const oldSvg = container.querySelector('svg');
+    const transform = oldSvg ? d3.zoomTransform(oldSvg) : d3.zoomIdentity;
+    const domains = graphEditor && xScale ? { lon: xScale.domain(), lat: yScale.domain() } : null;
+    container.innerHTML = '';
+    let zoom;
+    ({ svg, width, height, xScale, yScale, zoom } = setupGraph(container, { domains }));
+    if (transform !== d3.zoomIdentity) svg.call(zoom.transform, transform);
+}
+
+/**
+ * Rebuild the graph, the map, the dropdowns and the tree panel after an edit.
+ * The start, goals and closures are kept where their cities and roads still
+ * exist; `renameCity` maps the ids they refer to onto the edited graph's.
+ */
+function refreshEditedGraph(renameCity = cityId => cityId) {
+    const startCity = renameCity(document.getElementById('startCity').value);
+    const goals = Array.from(getSelectedGoals(), renameCity);
+    fullGraph = SearchEngine.createGraph(graphData, { costModel: getCostModel() });
+    searchGraph = fullGraph;
+    closedCities = new Set(Array.from(closedCities, renameCity).filter(city => getNodeById(city)));
+    closedRoads = new Map(Array.from(closedRoads.values())
+        .map(([a, b]) => [renameCity(a), renameCity(b)])
+        .filter(([a, b]) => getLinkByNodes(a, b))
+        .map(([a, b]) => [getRoadKey(a, b), [a, b]]));
+    redrawMainMap();
+    applyClosures();
+
+    populateCityDropdowns();
+    const startSelect = document.getElementById('startCity');
+    if (Array.from(startSelect.options).some(option => option.value === startCity)) {
+        startSelect.value = startCity;
+    }
+    setSelectedGoals(goals, false);
+    renderTreeSearchGraph();
+    renderGraphEditor();
+}
+
+/**
+ * Save the graph for undo before an edit changes it
+ */
+function recordGraphEdit() {
+    graphEditor.undoStack.push(JSON.stringify(graphData));
+    if (graphEditor.undoStack.length > MAX_EDITOR_UNDO) graphEditor.undoStack.shift();
+    graphEditor.redoStack = [];
+}
+
+/**
+ * Undo (direction -1) or redo (direction 1) the last graph edit
+ */
+function stepGraphEdit(direction) {
+    if (!graphEditor) return;
+    const from = direction < 0 ? graphEditor.undoStack : graphEditor.redoStack;
+    const to = direction < 0 ? graphEditor.redoStack : graphEditor.undoStack;
+    if (from.length === 0) return;
+    to.push(JSON.stringify(graphData));
+    graphData = JSON.parse(from.pop());
+    graphEditor.selection = null;
+    graphEditor.roadStart = null;
+    refreshEditedGraph();
+}
+
+/**
+ * Change the editor's tool; a half-drawn road is dropped
+ */
+function setEditorTool(tool) {
+    if (!graphEditor) return;
+    graphEditor.tool = tool;
+    graphEditor.roadStart = null;
+    renderGraphEditor();
+}
+
+/**
+ * A city was clicked in edit mode
+ */
+function handleEditorCityClick(cityId) {
+    const editor = graphEditor;
+    if (editor.tool === 'delete') {
+        deleteEditorCity(cityId);
+    } else if (editor.tool === 'add-road') {
+        if (!editor.roadStart || editor.roadStart === cityId) {
+            editor.roadStart = editor.roadStart === cityId ? null : cityId;
+            renderGraphEditor();
+        } else {
+            addEditorRoad(editor.roadStart, cityId);
+        }
+    } else {
+        editor.selection = { city: cityId };
+        renderGraphEditor();
+    }
+}
+
+/**
+ * A road was clicked in edit mode
+ */
+function handleEditorRoadClick(sourceId, targetId) {
+    if (graphEditor.tool === 'delete') {
+        deleteEditorRoad(sourceId, targetId);
+    } else {
+        graphEditor.selection = { road: [sourceId, targetId] };
+        renderGraphEditor();
+    }
+}
+
+/**
+ * Add a city of the "New cities" type at a point clicked with the Add City tool
+ */
+function addEditorCity(lon, lat) {
+    if (!graphEditor || graphEditor.tool !== 'add-city') return;
+    let number = graphData.nodes.length + 1;
+    while (graphData.nodes.some(node => node.id === `City ${number}`)) number++;
+    const city = {
+        id: `City ${number}`,
+        type: document.getElementById('editNewCityType')?.value || 'capitol',
+        lat: Number(lat.toFixed(EDITOR_COORDINATE_DECIMALS)),
+        lon: Number(lon.toFixed(EDITOR_COORDINATE_DECIMALS))
+    };
+    recordGraphEdit();
+    graphData.nodes.push(city);
+    graphEditor.selection = { city: city.id };
+    refreshEditedGraph();
+    updateStatus(`Added ${city.id}`);
+}
+
+/**
+ * Follow a dragged city with its circle, label, roads and road labels
+ */
+function moveCityOnMap(cityId, x, y, container = getMainMapContainer(), mapXScale = xScale, mapYScale = yScale) {
+    const map = d3.select(container);
+    const pointOf = id => (id === cityId ? [x, y] : [mapXScale(getNodeById(id).lon), mapYScale(getNodeById(id).lat)]);
+    selectCityNode(cityId, container).attr('cx', x).attr('cy', y);
+    map.selectAll('.node-label').filter(d => d.id === cityId)
+        .attr('x', x)
+        .attr('y', y - NODE_RADIUS - 3);
+    map.selectAll('.link, .link-hit').filter(d => d.source === cityId || d.target === cityId)
+        .attr('x1', d => pointOf(d.source)[0])
+        .attr('y1', d => pointOf(d.source)[1])
+        .attr('x2', d => pointOf(d.target)[0])
+        .attr('y2', d => pointOf(d.target)[1]);
+    map.selectAll('.edge-label').filter(d => d.source === cityId || d.target === cityId)
+        .attr('x', d => (pointOf(d.source)[0] + pointOf(d.target)[0]) / 2)
+        .attr('y', d => (pointOf(d.source)[1] + pointOf(d.target)[1]) / 2);
+}
+
+/**
+ * Give a city the coordinates it was dragged to
+ */
+function moveEditorCity(cityId, lon, lat) {
+    const city = graphData.nodes.find(node => node.id === cityId);
+    const position = {
+        lat: Number(lat.toFixed(EDITOR_COORDINATE_DECIMALS)),
+        lon: Number(lon.toFixed(EDITOR_COORDINATE_DECIMALS))
+    };
+    // A click without movement ends a drag too
+    if (!city || (city.lat === position.lat && city.lon === position.lon)) return;
+    recordGraphEdit();
+    Object.assign(city, position);
+    graphEditor.selection = { city: cityId };
+    refreshEditedGraph();
+}
+
+/**
+ * Rename the selected city; its roads follow. Returns false when the name is
+ * empty or taken.
+ */
+function renameEditorCity(cityId, name) {
+    const newId = name.trim();
+    if (newId === cityId) return true;
+    if (newId === '' || graphData.nodes.some(node => node.id === newId)) {
+        showError(newId === '' ? 'A city needs a name.' : `There is already a city called ${newId}.`);
+        return false;
+    }
+    recordGraphEdit();
+    graphData.nodes.find(node => node.id === cityId).id = newId;
+    graphData.links.forEach(link => {
+        if (link.source === cityId) link.source = newId;
+        if (link.target === cityId) link.target = newId;
+    });
+    if (cityId in heuristicTable) {
+        heuristicTable[newId] = heuristicTable[cityId];
+        delete heuristicTable[cityId];
+    }
+    graphEditor.selection = { city: newId };
+    refreshEditedGraph(id => (id === cityId ? newId : id));
+    updateStatus(`Renamed ${cityId} to ${newId}`);
+    return true;
+}
+
+/**
+ * Change the type of a city (capitol, dec or other)
+ */
+function setEditorCityType(cityId, type) {
+    const city = graphData.nodes.find(node => node.id === cityId);
+    if (!city || city.type === type) return;
+    recordGraphEdit();
+    city.type = type;
+    refreshEditedGraph();
+}
+
+/**
+ * Delete a city together with its roads
+ */
+function deleteEditorCity(cityId) {
+    recordGraphEdit();
+    graphData.nodes = graphData.nodes.filter(node => node.id !== cityId);
+    graphData.links = graphData.links.filter(link => link.source !== cityId && link.target !== cityId);
+    graphEditor.selection = null;
+    refreshEditedGraph();
+    updateStatus(`Deleted ${cityId}`);
+}
+
+/**
+ * Connect two cities by a road, listed once per direction like cities.json.
+ * The distance starts at the straight-line distance, rounded up to 0.1 km;
+ * an existing road is selected instead.
+ */
+function addEditorRoad(cityA, cityB) {
+    graphEditor.roadStart = null;
+    if (graphData.links.some(link => getRoadKey(link.source, link.target) === getRoadKey(cityA, cityB))) {
+        graphEditor.selection = { road: [cityA, cityB] };
+        renderGraphEditor();
+        return;
+    }
+    const straightLine = SearchEngine.haversineDistance(getNodeById(cityA), getNodeById(cityB));
+    const distance = Math.max(0.1, Math.ceil(straightLine * 10) / 10);
+    recordGraphEdit();
+    graphData.links.push({ source: cityA, target: cityB, distance }, { source: cityB, target: cityA, distance });
+    graphEditor.selection = { road: [cityA, cityB] };
+    refreshEditedGraph();
+    updateStatus(`Added road ${cityA} – ${cityB} (${distance} km)`);
+}
+
+/**
+ * Set the distance of a road in both directions. Returns false unless it is a
+ * positive number.
+ */
+function setEditorRoadDistance(cityA, cityB, distance) {
+    if (!(distance > 0)) {
+        showError('A road needs a distance greater than 0.');
+        return false;
+    }
+    const key = getRoadKey(cityA, cityB);
+    const links = graphData.links.filter(link => getRoadKey(link.source, link.target) === key);
+    if (links.every(link => link.distance === distance)) return true;
+    recordGraphEdit();
+    links.forEach(link => { link.distance = distance; });
+    refreshEditedGraph();
+    return true;
 }
 
 /**
- * Depth-First Search (DFS)
- * Explores as far as possible along each branch before backtracking
+ * Delete a road in both directions
  */
-async function depthFirstSearch(start, goal) {
-    const startTime = Date.now();
-    const stack = [{ node: start, path: [start] }];
-    const visited = new Set([start]);
-    let nodesExplored = 0;
-    let nodesDiscovered = 1;
-    let edgesProcessed = 0;
-    
-    updateStatus(`Starting DFS from ${start} to ${goal}`);
-    
-    while (stack.length > 0) {
-        if (!isSearchRunning) break;
-        
-        const { node: currentNode, path } = stack.pop();
-        nodesExplored++;
-        
-        await animateNodeExploration(currentNode);
-        
-        if (isGoalNode(currentNode, goal)) {
-            await animatePath(path);
-            const cost = calculatePathCost(path);
-            return {
-                success: true,
-                path,
-                cost,
-                nodesExplored,
-                nodesDiscovered,
-                edgesProcessed,
-                reachedGoal: reachedGoalFromPath(path),
-                executionTime: Date.now() - startTime
-            };
-        }
-        
-        const neighbors = getNeighbors(currentNode);
-        // Reverse order for DFS to maintain consistent exploration
-        for (let i = neighbors.length - 1; i >= 0; i--) {
-            const neighbor = neighbors[i];
-            edgesProcessed++;
-            if (!visited.has(neighbor.id)) {
-                visited.add(neighbor.id);
-                nodesDiscovered++;
-                stack.push({
-                    node: neighbor.id,
-                    path: [...path, neighbor.id]
-                });
-            }
-        }
-        
-        await animateNodeExploration(currentNode, false);
+function deleteEditorRoad(cityA, cityB) {
+    const key = getRoadKey(cityA, cityB);
+    recordGraphEdit();
+    graphData.links = graphData.links.filter(link => getRoadKey(link.source, link.target) !== key);
+    graphEditor.selection = null;
+    refreshEditedGraph();
+    updateStatus(`Deleted road ${cityA} – ${cityB}`);
+}
+
+/**
+ * Delete the selected city or road (Delete key)
+ */
+function deleteEditorSelection() {
+    const selection = graphEditor && graphEditor.selection;
+    if (!selection) return;
+    if (selection.city) deleteEditorCity(selection.city);
+    else deleteEditorRoad(...selection.road);
+}
+
+/**
+ * Show the editor's tool, undo state and the fields of the selected city or
+ * road, and outline the selection on the map
+ */
+function renderGraphEditor() {
+    if (!graphEditor) return;
+    const { tool, selection, roadStart, undoStack, redoStack } = graphEditor;
+    document.getElementById('editTool').value = tool;
+    document.getElementById('editUndoBtn').disabled = undoStack.length === 0;
+    document.getElementById('editRedoBtn').disabled = redoStack.length === 0;
+    document.getElementById('editHint').textContent = roadStart
+        ? `Click the city to connect ${roadStart} to (click ${roadStart} again to cancel).`
+        : EDITOR_HINTS[tool];
+
+    const city = selection && selection.city ? getNodeById(selection.city) : null;
+    const road = selection && selection.road ? getLinkByNodes(...selection.road) : null;
+    document.getElementById('editCityFields').classList.toggle('hidden', !city);
+    document.getElementById('editRoadFields').classList.toggle('hidden', !road);
+    if (city) {
+        document.getElementById('editCityName').value = city.id;
+        document.getElementById('editCityType').value = city.type;
+        document.getElementById('editCityPosition').textContent = `lat ${city.lat}, lon ${city.lon}`;
     }
-    
-    return {
-        success: false,
-        nodesExplored,
-        nodesDiscovered,
-        edgesProcessed,
-        executionTime: Date.now() - startTime,
-        reason: 'No path exists between the cities'
-    };
+    if (road) {
+        document.getElementById('editRoadName').textContent = `${road.source} – ${road.target}`;
+        document.getElementById('editRoadDistance').value = road.distance;
+    }
+
+    const map = d3.select(getMainMapContainer());
+    map.selectAll('.node')
+        .classed('editor-selected', d => Boolean(city) && d.id === city.id)
+        .classed('editor-road-start', d => d.id === roadStart);
+    map.selectAll('.link').classed('editor-selected', d =>
+        Boolean(road) && getRoadKey(d.source, d.target) === getRoadKey(road.source, road.target));
+}
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+// Expansions after which a benchmarked tree or path-checking search gives up: no
+// trace is recorded, so it matches the engine's default budget
+const BENCHMARK_MAX_EXPANSIONS = 10000;
+// Columns of the benchmark table and its CSV export, in order
+const BENCHMARK_COLUMNS = [
+    { key: 'start', label: 'Start' },
+    { key: 'goal', label: 'Goal' },
+    { key: 'algorithm', label: 'Algorithm' },
+    { key: 'status', label: 'Result' },
+    { key: 'cost', label: 'Cost', numeric: true },
+    { key: 'gap', label: 'Gap vs UCS', numeric: true },
+    { key: 'gapPercent', label: 'Gap (%)', numeric: true },
+    { key: 'nodesExpanded', label: 'Nodes Expanded', numeric: true },
+    { key: 'peakFrontier', label: 'Peak Frontier', numeric: true },
+    { key: 'wallTimeMs', label: 'Wall Time (ms)', numeric: true }
+];
+
+/**
+ * Algorithms of the selector that search from one city to another. Tours
+ * return to the start and D* Lite closes a road en route, so their costs
+ * are not comparable with UCS.
+ */
+function getBenchmarkAlgorithms() {
+    return Array.from(document.getElementById('algorithm').options)
+        .map(option => option.value)
+        .filter(algorithm => !algorithm.startsWith('tour-') && algorithm !== 'dstar-lite');
 }
 
 /**
- * Uniform-Cost Search (UCS)
- * Expands the node with the lowest path cost first
+ * Run every benchmark algorithm without animation on every capital → DEC
+ * query of the loaded graph, with the current cost model, closures, search
+ * mode and ordering settings. Each row holds the cost, the gap to the UCS
+ * optimum, nodes expanded, the peak frontier and the wall time.
  */
-async function uniformCostSearch(start, goal) {
-    const startTime = Date.now();
-    
-    // Priority queue implemented as array (will sort by cost)
-    const frontier = [{ node: start, path: [start], cost: 0 }];
-    const visited = new Set();
-    let nodesExplored = 0;
-    let nodesDiscovered = 1; // counting start as discovered when pushing frontier
-    let edgesProcessed = 0;
-    
-    updateStatus(`Starting UCS from ${start} to ${goal}`);
-    
-    while (frontier.length > 0) {
-        if (!isSearchRunning) break;
-        
-        // Sort frontier by cost (lowest first)
-        frontier.sort((a, b) => a.cost - b.cost);
-        
-    const { node: currentNode, path, cost } = frontier.shift();
-        
-        if (visited.has(currentNode)) continue;
-        
-        visited.add(currentNode);
-        nodesExplored++;
-        
-        await animateNodeExploration(currentNode);
-        
-        if (isGoalNode(currentNode, goal)) {
-            await animatePath(path);
-            return {
-                success: true,
-                path,
-                cost,
-                nodesExplored,
-                nodesDiscovered,
-                edgesProcessed,
-                reachedGoal: reachedGoalFromPath(path),
-                executionTime: Date.now() - startTime
+async function runBenchmark() {
+    if (isSearchRunning) return;
+    const capitals = graphData.nodes.filter(city => city.type === 'capitol' && !closedCities.has(city.id)).map(city => city.id);
+    const decs = getDecCityIds().filter(city => !closedCities.has(city));
+    const algorithms = getBenchmarkAlgorithms();
+    if (capitals.length === 0 || decs.length === 0) {
+        showError('The benchmark needs at least one open capital and one open DEC.');
+        return;
+    }
+    const depthLimit = parseInt(document.getElementById('depthLimit').value) || 5;
+    const heuristicWeight = parseFloat(document.getElementById('heuristicWeight')?.value ?? '1');
+    const heuristic = getSearchHeuristic();
+    resetVisualization();
+    isSearchRunning = true;
+    const startBtnEl = document.getElementById('startSearch');
+    if (startBtnEl) startBtnEl.disabled = true;
+    const container = document.getElementById('benchmarkResults');
+
+    const rows = [];
+    try {
+        const pairs = capitals.flatMap(start => decs.filter(goal => goal !== start).map(goal => [start, goal]));
+        for (let i = 0; i < pairs.length; i++) {
+            const [start, goal] = pairs[i];
+            if (container) container.innerHTML = `<p class="text-gray-600">Benchmarking ${escapeHtml(start)} → ${escapeHtml(goal)} (${i + 1} of ${pairs.length})...</p>`;
+            // Let the browser paint the progress between queries
+            await sleep(0);
+            const problem = {
+                graph: searchGraph,
+                start,
+                goal: new Set([goal]),
+                depthLimit,
+                heuristic,
+                heuristicWeight: heuristicWeight >= 0 ? heuristicWeight : 1,
+                searchMode: getSearchMode() || undefined,
+                maxExpansions: BENCHMARK_MAX_EXPANSIONS,
+                ...getOrderingOptions()
             };
-        }
-        
-        const neighbors = getNeighbors(currentNode);
-        for (const neighbor of neighbors) {
-            edgesProcessed++;
-            if (!visited.has(neighbor.id)) {
-                frontier.push({
-                    node: neighbor.id,
-                    path: [...path, neighbor.id],
-                    cost: cost + neighbor.distance
+            const optimum = SearchEngine.runSearch('ucs', { ...problem, searchMode: 'graph' });
+            const optimalCost = optimum.success ? optimum.cost : null;
+            for (const algorithm of algorithms) {
+                // IDA* and RBFS may run up to the expansion budget; keep the page responsive meanwhile
+                await sleep(0);
+                const startTime = performance.now();
+                const result = SearchEngine.runSearch(algorithm, problem);
+                const wallTimeMs = performance.now() - startTime;
+                const cost = result.success ? result.cost : null;
+                const gap = cost !== null && optimalCost !== null ? cost - optimalCost : null;
+                rows.push({
+                    start,
+                    goal,
+                    algorithm,
+                    found: Boolean(result.success),
+                    status: result.success ? 'found' : (result.limitReached ? 'limit reached' : 'no path'),
+                    cost,
+                    optimalCost,
+                    gap,
+                    gapPercent: gap !== null && optimalCost > 0 ? (gap / optimalCost) * 100 : (gap === 0 ? 0 : null),
+                    nodesExpanded: result.nodesExplored,
+                    peakFrontier: result.maxFrontier,
+                    wallTimeMs: Number(wallTimeMs.toFixed(3)),
+                    reason: result.success ? null : result.reason || null
                 });
-                nodesDiscovered++;
             }
         }
-        
-        await animateNodeExploration(currentNode, false);
+    } catch (error) {
+        console.error('Benchmark error:', error);
+        if (container) container.innerHTML = '';
+        showError(`Benchmark failed: ${error.message}`);
+        return;
+    } finally {
+        isSearchRunning = false;
+        if (startBtnEl) startBtnEl.disabled = false;
     }
-    
-    return {
-        success: false,
-        nodesExplored,
-        nodesDiscovered,
-        edgesProcessed,
-        executionTime: Date.now() - startTime,
-        reason: 'No path exists between the cities'
+    benchmarkRows = rows;
+    benchmarkSort = { key: null, descending: false };
+    renderBenchmark();
+    updateStatus(`Benchmarked ${algorithms.length} algorithms on ${rows.length / Math.max(algorithms.length, 1)} capital → DEC queries`);
+}
+
+/**
+ * Sort the benchmark rows by a column; clicking the same column again flips the order.
+ * Missing values (no path found) sort last either way.
+ */
+function sortBenchmark(key) {
+    benchmarkSort = {
+        key,
+        descending: benchmarkSort.key === key ? !benchmarkSort.descending : false
     };
+    const direction = benchmarkSort.descending ? -1 : 1;
+    benchmarkRows.sort((a, b) => {
+        const valueA = a[key];
+        const valueB = b[key];
+        if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+        const order = typeof valueA === 'number' ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+        return direction * order;
+    });
+    renderBenchmark();
 }
 
 /**
- * Depth-Limited Search (DLS)
- * DFS with a depth limit to prevent infinite loops
+ * Draw the benchmark table with its sort headers and download buttons
  */
-async function depthLimitedSearch(start, goal, depthLimit) {
-    const startTime = Date.now();
-    let nodesExplored = 0;
-    let edgesProcessed = 0;
-    let nodesDiscovered = 1; // start
-    
-    updateStatus(`Starting DLS from ${start} to ${goal} with depth limit ${depthLimit}`);
-    
-    async function dls(currentNode, path, depth) {
-        if (!isSearchRunning) return { success: false, reason: 'Search stopped' };
-        
-        nodesExplored++;
-        await animateNodeExploration(currentNode);
-        
-        if (isGoalNode(currentNode, goal)) {
-            await animatePath(path);
-            const cost = calculatePathCost(path);
-            return {
-                success: true,
-                path,
-                cost,
-                nodesExplored,
-                nodesDiscovered,
-                edgesProcessed,
-                reachedGoal: reachedGoalFromPath(path),
-                executionTime: Date.now() - startTime
-            };
-        }
-        
-        if (depth >= depthLimit) {
-            await animateNodeExploration(currentNode, false);
-            return { success: false, reason: 'Depth limit reached', nodesExplored, nodesDiscovered, edgesProcessed };
-        }
-        
-        const neighbors = getNeighbors(currentNode);
-        for (const neighbor of neighbors) {
-            edgesProcessed++;
-            // Avoid cycles by checking if neighbor is already in path
-            if (!path.includes(neighbor.id)) {
-                const result = await dls(neighbor.id, [...path, neighbor.id], depth + 1);
-                if (result.success) return result;
-                // if we expanded to neighbor (implicitly discovered), count it once
-                if (!path.includes(neighbor.id)) {
-                    nodesDiscovered++;
-                }
-            }
-        }
-        
-        await animateNodeExploration(currentNode, false);
-        return { success: false, reason: 'No path found within depth limit', nodesExplored, nodesDiscovered, edgesProcessed };
-    }
-    
-    const result = await dls(start, [start], 0);
-    if (!result.nodesExplored) {
-        result.nodesExplored = nodesExplored;
-        result.executionTime = Date.now() - startTime;
-    }
-    if (typeof result.nodesDiscovered !== 'number') {
-        result.nodesDiscovered = nodesDiscovered;
-    }
-    if (typeof result.edgesProcessed !== 'number') {
-        result.edgesProcessed = edgesProcessed;
-    }
-    
-    return result;
+function renderBenchmark() {
+    const container = document.getElementById('benchmarkResults');
+    if (!container || !benchmarkRows) return;
+    const format = (column, value) => {
+        if (value === null || value === undefined) return '–';
+        if (column.key === 'algorithm') return getAlgorithmName(value);
+        return typeof value === 'number' ? String(Number(value.toFixed(2))) : escapeHtml(value);
+    };
+    const arrow = key => (benchmarkSort.key === key ? (benchmarkSort.descending ? ' ▼' : ' ▲') : '');
+    container.innerHTML = `<div class="result-item">
+        <div class="flex flex-wrap items-center gap-2 mb-2">
+            <h3 class="font-semibold">Benchmark: ${getCostLabel()} (${getCostUnit()}), every capital → DEC query</h3>
+            <button type="button" data-download="csv" class="ml-auto bg-gray-200 hover:bg-gray-300 text-gray-800 text-xs font-medium py-1 px-3 rounded">Download CSV</button>
+            <button type="button" data-download="json" class="bg-gray-200 hover:bg-gray-300 text-gray-800 text-xs font-medium py-1 px-3 rounded">Download JSON</button>
+        </div>
+        <p class="text-xs text-gray-600 mb-2">Click a column to sort. The gap is each cost minus the UCS optimum C*; – means no path was found (hover the row for the reason) or, for the percentage, C* = 0. Tree and path-checking searches give up after ${BENCHMARK_MAX_EXPANSIONS} expansions (limit reached).</p>
+        <div class="overflow-auto max-h-96">
+            <table class="min-w-full text-xs border border-gray-200 rounded">
+                <thead class="bg-gray-50 sticky top-0">
+                    <tr>
+                        ${BENCHMARK_COLUMNS.map(column => `<th data-sort="${column.key}" class="px-2 py-1 cursor-pointer select-none ${column.numeric ? 'text-right' : 'text-left'}">${column.label}${arrow(column.key)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${benchmarkRows.map(row => `
+                        <tr class="odd:bg-white even:bg-gray-50"${row.reason ? ` title="${escapeHtml(row.reason)}"` : ''}>
+                            ${BENCHMARK_COLUMNS.map(column => `<td class="px-2 py-1 ${column.numeric ? 'text-right' : ''}">${format(column, row[column.key])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    </div>`;
+    container.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => sortBenchmark(th.dataset.sort));
+    });
+    container.querySelector('[data-download="csv"]').addEventListener('click', () => {
+        downloadFile(getBenchmarkCsv(), 'benchmark.csv', 'text/csv');
+    });
+    container.querySelector('[data-download="json"]').addEventListener('click', () => {
+        downloadFile(JSON.stringify(benchmarkRows, null, 2), 'benchmark.json', 'application/json');
+    });
 }
 
 /**
- * Iterative Deepening Depth-First Search (IDDFS)
- * Performs DLS with gradually increasing depth limits
+ * The benchmark rows as CSV, in the table's current order. Cells holding a
+ * comma, quote or line break are quoted.
  */
-async function iterativeDeepeningSearch(start, goal) {
-    const startTime = Date.now();
-    let totalNodesExplored = 0;
-    let totalEdgesProcessed = 0;
-    let totalNodesDiscovered = 0;
-    const maxDepth = 5; // Reasonable maximum depth for Sri Lankan cities
-    
-    updateStatus(`Starting IDDFS from ${start} to ${goal}`);
-    
-    for (let depth = 0; depth <= maxDepth; depth++) {
-        if (!isSearchRunning) break;
-        
-        updateStatus(`IDDFS: Trying depth limit ${depth}`);
-        
-        // Reset visualization for new depth iteration
-        d3.selectAll('.node').classed('exploring', false);
-        
-    const result = await depthLimitedSearch(start, goal, depth);
-    totalNodesExplored += result.nodesExplored;
-    totalEdgesProcessed += (result.edgesProcessed || 0);
-    totalNodesDiscovered += (result.nodesDiscovered || 0);
-        
-        if (result.success) {
-            return {
-                ...result,
-                nodesExplored: totalNodesExplored,
-                nodesDiscovered: totalNodesDiscovered,
-                edgesProcessed: totalEdgesProcessed,
-                executionTime: Date.now() - startTime
-            };
-        }
-        
-        // Brief pause between depth iterations
-        await sleep(ANIMATION_DELAY);
-    }
-    
-    return {
-        success: false,
-        nodesExplored: totalNodesExplored,
-        nodesDiscovered: totalNodesDiscovered,
-        edgesProcessed: totalEdgesProcessed,
-        executionTime: Date.now() - startTime,
-        reason: `No path found within maximum depth of ${maxDepth}`
+function getBenchmarkCsv() {
+    const keys = ['start', 'goal', 'algorithm', 'found', 'status', 'cost', 'optimalCost', 'gap', 'gapPercent', 'nodesExpanded', 'peakFrontier', 'wallTimeMs', 'reason'];
+    const cell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     };
+    return [keys.join(','), ...benchmarkRows.map(row => keys.map(key => cell(row[key])).join(','))].join('\n') + '\n';
+}
+
+// ============================================================================
+// SIDE-BY-SIDE COMPARISON
+// ============================================================================
+
+// Letters of the twin maps, left to right
+const TWIN_MAPS = ['A', 'B'];
+
+/**
+ * Offer the main selector's algorithms on both comparison selectors
+ */
+function populateCompareSelects() {
+    const source = document.getElementById('algorithm');
+    [['compareAlgorithmA', 'bfs'], ['compareAlgorithmB', 'ucs']].forEach(([id, value]) => {
+        const select = document.getElementById(id);
+        if (!select || !source) return;
+        select.innerHTML = source.innerHTML;
+        select.value = value;
+    });
 }
 
 /**
- * Bidirectional Search
- * Runs two searches simultaneously from start and goal
+ * Run the two chosen algorithms on twin copies of the map with the main
+ * controls' query and settings. Both maps advance one expansion per step, and
+ * the diff below them lists the nodes only A, only B or both have expanded.
  */
-async function bidirectionalSearch(start, goal) {
-    const startTime = Date.now();
-    
-    const frontQueue = [{ node: start, path: [start] }];
-    const backQueue = [{ node: goal, path: [goal] }];
-    
-    const frontVisited = new Map([[start, [start]]]);
-    const backVisited = new Map([[goal, [goal]]]);
-    
-    let nodesExplored = 0;
-    let nodesDiscovered = 2; // start and goal as seeds
-    let edgesProcessed = 0;
-    
-    updateStatus(`Starting Bidirectional Search from ${start} to ${goal}`);
-    
-    while (frontQueue.length > 0 && backQueue.length > 0) {
-        if (!isSearchRunning) break;
-        
-        // Expand from front
-        if (frontQueue.length > 0) {
-            const { node: currentNode, path } = frontQueue.shift();
-            nodesExplored++;
-            
-            await animateNodeExploration(currentNode);
-            
-            // Check if this node was reached from the back search
-            if (backVisited.has(currentNode)) {
-                const backPath = backVisited.get(currentNode);
-                const fullPath = [...path, ...backPath.slice(0, -1).reverse()];
-                
-                await animatePath(fullPath);
-                const cost = calculatePathCost(fullPath);
-                
-                return {
-                    success: true,
-                    path: fullPath,
-                    cost,
-                    nodesExplored,
-                    nodesDiscovered,
-                    edgesProcessed,
-                    executionTime: Date.now() - startTime
-                };
-            }
-            
-            const neighbors = getNeighbors(currentNode);
-            for (const neighbor of neighbors) {
-                edgesProcessed++;
-                if (!frontVisited.has(neighbor.id)) {
-                    const newPath = [...path, neighbor.id];
-                    frontVisited.set(neighbor.id, newPath);
-                    frontQueue.push({
-                        node: neighbor.id,
-                        path: newPath
-                    });
-                    nodesDiscovered++;
-                }
-            }
-            
-            await animateNodeExploration(currentNode, false);
+async function startComparison() {
+    if (isSearchRunning) return;
+    const algorithms = TWIN_MAPS.map(letter => document.getElementById(`compareAlgorithm${letter}`).value);
+    const startCity = document.getElementById('startCity').value;
+    const goals = getSelectedGoals();
+    for (const algorithm of algorithms) {
+        const inputError = getSearchInputError(algorithm, startCity, goals);
+        if (inputError) {
+            showError(`${getAlgorithmName(algorithm)}: ${inputError}`);
+            return;
         }
-        
-        // Expand from back
-        if (backQueue.length > 0) {
-            const { node: currentNode, path } = backQueue.shift();
-            nodesExplored++;
-            
-            await animateNodeExploration(currentNode);
-            
-            // Check if this node was reached from the front search
-            if (frontVisited.has(currentNode)) {
-                const frontPath = frontVisited.get(currentNode);
-                const fullPath = [...frontPath, ...path.slice(0, -1).reverse()];
-                
-                await animatePath(fullPath);
-                const cost = calculatePathCost(fullPath);
-                
-                return {
-                    success: true,
-                    path: fullPath,
-                    cost,
-                    nodesExplored,
-                    nodesDiscovered,
-                    edgesProcessed,
-                    executionTime: Date.now() - startTime
-                };
-            }
-            
-            const neighbors = getNeighbors(currentNode);
-            for (const neighbor of neighbors) {
-                edgesProcessed++;
-                if (!backVisited.has(neighbor.id)) {
-                    const newPath = [...path, neighbor.id];
-                    backVisited.set(neighbor.id, newPath);
-                    backQueue.push({
-                        node: neighbor.id,
-                        path: newPath
-                    });
-                    nodesDiscovered++;
-                }
+    }
+    resetVisualization();
+    const panel = document.getElementById('comparePanel');
+    if (!panel) return;
+    // Show the panel first: the maps are sized from their containers
+    panel.classList.remove('hidden');
+    const depthLimit = parseInt(document.getElementById('depthLimit').value) || 5;
+    const options = getSearchOptions();
+
+    let twins;
+    try {
+        twins = algorithms.map((algorithm, i) => {
+            const letter = TWIN_MAPS[i];
+            const container = document.getElementById(`twinMap${letter}`);
+            container.innerHTML = '';
+            const map = setupGraph(container, { idPrefix: `twin${letter}-`, interactive: false });
+            renderClosures(container, map.xScale, map.yScale);
+            document.getElementById(`twinTitle${letter}`).textContent = `${letter}: ${getAlgorithmName(algorithm)}`;
+            const problem = { ...createSearchProblem(startCity, goals, depthLimit, options), snapshots: false };
+            const { events, result } = recordSearchTrace(algorithm, problem);
+            return { letter, algorithm, container, map, events, result, index: 0, explored: new Set() };
+        });
+    } catch (error) {
+        console.error('Comparison error:', error);
+        showError(`Comparison failed: ${error.message}`);
+        return;
+    }
+    syncTwinZoom(twins);
+    comparison = { twins, step: 0 };
+    renderComparison();
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    updateStatus(`Comparing ${algorithms.map(getAlgorithmName).join(' and ')} from ${startCity} to ${SearchEngine.describeGoal(goals)}`);
+
+    isSearchRunning = true;
+    isPaused = false;
+    const startBtnEl = document.getElementById('startSearch');
+    if (startBtnEl) startBtnEl.disabled = true;
+    updateTimelineControls();
+    try {
+        while (twins.some(twin => twin.index < twin.events.length)) {
+            if (!isSearchRunning) return;
+            if (isPaused) {
+                await waitForResume();
+                continue;
             }
-            
-            await animateNodeExploration(currentNode, false);
+            comparison.step++;
+            twins.forEach(advanceTwin);
+            renderComparison();
+            await sleep(ANIMATION_DELAY);
         }
+    } finally {
+        isSearchRunning = false;
+        isPaused = false;
+        if (startBtnEl) startBtnEl.disabled = false;
+        updateTimelineControls();
     }
-    
-    return {
-        success: false,
-        nodesExplored,
-        nodesDiscovered,
-        edgesProcessed,
-        executionTime: Date.now() - startTime,
-        reason: 'No path exists between the cities'
-    };
 }
 
 /**
- * Greedy Best-First Search
- * Uses heuristic to guide search toward goal
+ * Apply a twin's events up to and including its next pop (or D* Lite move),
+ * so both maps advance by one expansion per step
  */
-async function greedyBestFirstSearch(start, goal) {
-    const startTime = Date.now();
-    
-    const frontier = [{ node: start, path: [start], heuristic: heuristicToGoalOrGoals(start, goal) }];
-    const visited = new Set();
-    let nodesExplored = 0;
-    let nodesDiscovered = 1;
-    let edgesProcessed = 0;
-    
-    updateStatus(`Starting Greedy Best-First Search from ${start} to ${goal}`);
-    
-    while (frontier.length > 0) {
-        if (!isSearchRunning) break;
-        
-        // Sort frontier by heuristic (lowest first)
-        frontier.sort((a, b) => a.heuristic - b.heuristic);
-        
-        const { node: currentNode, path } = frontier.shift();
-        
-        if (visited.has(currentNode)) continue;
-        
-        visited.add(currentNode);
-        nodesExplored++;
-        
-        await animateNodeExploration(currentNode);
-        
-        if (isGoalNode(currentNode, goal)) {
-            await animatePath(path);
-            const cost = calculatePathCost(path);
-            return {
-                success: true,
-                path,
-                cost,
-                nodesExplored,
-                nodesDiscovered,
-                edgesProcessed,
-                reachedGoal: reachedGoalFromPath(path),
-                executionTime: Date.now() - startTime
-            };
-        }
-        
-        const neighbors = getNeighbors(currentNode);
-        for (const neighbor of neighbors) {
-            edgesProcessed++;
-            if (!visited.has(neighbor.id)) {
-                frontier.push({
-                    node: neighbor.id,
-                    path: [...path, neighbor.id],
-                    heuristic: heuristicToGoalOrGoals(neighbor.id, goal)
-                });
-                nodesDiscovered++;
-            }
-        }
-        
-        await animateNodeExploration(currentNode, false);
+function advanceTwin(twin) {
+    while (twin.index < twin.events.length) {
+        const event = twin.events[twin.index++];
+        applySearchEventToMap(event, twin.container, twin.algorithm);
+        if (event.type === 'expanded') twin.explored.add(event.node);
+        if (event.type === 'pop' || event.type === 'move') return;
     }
-    
-    return {
-        success: false,
-        nodesExplored,
-        nodesDiscovered,
-        edgesProcessed,
-        executionTime: Date.now() - startTime,
-        reason: 'No path exists between the cities'
-    };
 }
 
 /**
- * A* Search
- * Combines actual cost and heuristic for optimal pathfinding
+ * Pan and zoom the twin maps together
  */
-async function aStarSearch(start, goal) {
-    const startTime = Date.now();
-    
-    const frontier = [{ 
-        node: start, 
-        path: [start], 
-        cost: 0,
-        heuristic: heuristicToGoalOrGoals(start, goal),
-        f: heuristicToGoalOrGoals(start, goal)
-    }];
-    
-    const visited = new Set();
-    let nodesExplored = 0;
-    let nodesDiscovered = 1;
-    let edgesProcessed = 0;
-    
-    updateStatus(`Starting A* Search from ${start} to ${goal}`);
-    
-    while (frontier.length > 0) {
-        if (!isSearchRunning) break;
-        
-        // Sort frontier by f-score (cost + heuristic)
-        frontier.sort((a, b) => a.f - b.f);
-        
-        const { node: currentNode, path, cost } = frontier.shift();
-        
-        if (visited.has(currentNode)) continue;
-        
-        visited.add(currentNode);
-        nodesExplored++;
-        
-        await animateNodeExploration(currentNode);
-        
-        if (isGoalNode(currentNode, goal)) {
-            await animatePath(path);
-            return {
-                success: true,
-                path,
-                cost,
-                nodesExplored,
-                nodesDiscovered,
-                edgesProcessed,
-                reachedGoal: reachedGoalFromPath(path),
-                executionTime: Date.now() - startTime
-            };
-        }
-        
-        const neighbors = getNeighbors(currentNode);
-        for (const neighbor of neighbors) {
-            edgesProcessed++;
-            if (!visited.has(neighbor.id)) {
-                const newCost = cost + neighbor.distance;
-                const heuristic = heuristicToGoalOrGoals(neighbor.id, goal);
-                const f = newCost + heuristic;
-                
-                frontier.push({
-                    node: neighbor.id,
-                    path: [...path, neighbor.id],
-                    cost: newCost,
-                    heuristic,
-                    f
-                });
-                nodesDiscovered++;
-            }
-        }
-        
-        await animateNodeExploration(currentNode, false);
+function syncTwinZoom(twins) {
+    // Set while copying a transform, so the copy does not echo back
+    let syncing = false;
+    twins.forEach(twin => {
+        twin.map.zoom.on('zoom.sync', event => {
+            if (syncing) return;
+            syncing = true;
+            twins.filter(other => other !== twin).forEach(other => {
+                other.map.svg.call(other.map.zoom.transform, event.transform);
+            });
+            syncing = false;
+        });
+    });
+}
+
+/**
+ * Step label, per-map summaries and the explored-node diff of the comparison
+ */
+function renderComparison() {
+    if (!comparison) return;
+    const { twins, step } = comparison;
+    const finished = twin => twin.index >= twin.events.length;
+    const format = v => (Number.isFinite(v) ? Number(v.toFixed(2)) : '∞');
+
+    const label = document.getElementById('compareStepLabel');
+    if (label) {
+        label.textContent = `Step ${step}: ${twins.map(twin => `${twin.letter} ${finished(twin) ? 'finished' : `${twin.explored.size} expanded`}`).join(', ')}`;
     }
-    
-    return {
-        success: false,
-        nodesExplored,
-        nodesDiscovered,
-        edgesProcessed,
-        executionTime: Date.now() - startTime,
-        reason: 'No path exists between the cities'
-    };
+    twins.forEach(twin => {
+        const summary = document.getElementById(`twinSummary${twin.letter}`);
+        if (!summary) return;
+        if (!finished(twin)) {
+            summary.innerHTML = `<p class="text-gray-600">Searching… ${twin.explored.size} node(s) expanded</p>`;
+            return;
+        }
+        const { result } = twin;
+        summary.innerHTML = result.success
+            ? `<p><strong>Path:</strong> ${escapeHtml(result.path.join(' → '))}</p>
+               <p><strong>${getCostLabel()}:</strong> ${format(result.cost)} ${getCostUnit()} · <strong>Expanded:</strong> ${result.nodesExplored} · <strong>Peak Frontier:</strong> ${result.maxFrontier}</p>`
+            : `<p><strong>No path found</strong>${result.reason ? `: ${escapeHtml(result.reason)}` : ''}</p>
+               <p><strong>Expanded:</strong> ${result.nodesExplored}</p>`;
+    });
+
+    const diff = document.getElementById('compareDiff');
+    if (!diff) return;
+    const [a, b] = twins;
+    // Each list keeps the order in which its nodes were first expanded
+    const columns = [
+        { title: `Only ${a.letter} (${getAlgorithmName(a.algorithm)})`, nodes: [...a.explored].filter(node => !b.explored.has(node)), className: 'diff-only-a' },
+        { title: 'Both', nodes: [...a.explored].filter(node => b.explored.has(node)), className: 'diff-both' },
+        { title: `Only ${b.letter} (${getAlgorithmName(b.algorithm)})`, nodes: [...b.explored].filter(node => !a.explored.has(node)), className: 'diff-only-b' }
+    ];
+    diff.innerHTML = `
+        <h3 class="font-medium text-gray-800 mb-2">Expanded Nodes</h3>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            ${columns.map(column => `
+                <div>
+                    <p class="font-semibold mb-1">${column.title}: ${column.nodes.length}</p>
+                    <div>${column.nodes.map(node => `<span class="diff-chip ${column.className}">${escapeHtml(node)}</span>`).join('') || '<span class="text-gray-500">none</span>'}</div>
+                </div>
+            `).join('')}
+        </div>`;
 }
 
 /**
- * Calculate the total cost (distance) of a path
+ * Calculate the total cost of a path under the selected cost model
  */
 function calculatePathCost(path) {
-    let totalCost = 0;
-    
-    for (let i = 0; i < path.length - 1; i++) {
-        const link = getLinkByNodes(path[i], path[i + 1]);
-        if (link) {
-            totalCost += link.distance;
-        }
-    }
-    
-    return totalCost;
+    return searchGraph.pathCost(path);
 }
 
 // --- Clean Tree Search Visualization for Fourth Panel (No Loops) ---
-function buildAlgorithmTreeNoLoops(node, path, goalSet, getNeighbors, algorithm) {
+function buildAlgorithmTreeNoLoops(node, path, goalSet, getNeighbors, algorithm, tally = createPreviewTally()) {
     // If node is a goal, mark it
     const isGoal = goalSet.has(node);
-    // If node is in path (cycle), do not expand further
-    if (path.includes(node)) {
+    // Leave out repeated states the way the selected search mode does
+    if (isPrunedInPreview(getResolvedSearchMode(algorithm), node, path, tally)) {
         return null;
     }
-    // Get all direct neighbors
-    let neighbors = getNeighbors(node).map(n => n.id);
-    // Order neighbors as per algorithm
-    if (algorithm === 'ucs') {
-        neighbors = getNeighbors(node).sort((a, b) => a.distance - b.distance).map(n => n.id);
-    } else if (algorithm === 'greedy' || algorithm === 'astar') {
-        // Use min straight-line distance to any goal
-        neighbors = getNeighbors(node).sort((a, b) =>
-            Math.min(...Array.from(goalSet).map(g => calculateStraightLineDistance(a.id, g))) -
-            Math.min(...Array.from(goalSet).map(g => calculateStraightLineDistance(b.id, g)))
-        ).map(n => n.id);
-    }
-    if (algorithm === 'dfs') {
-        neighbors = neighbors.slice().reverse();
-    }
+    tallyPreviewNode(tally, node);
+    // Direct neighbors, in the selected successor order
+    const neighbors = getNeighbors(node).map(n => n.id);
     // Recursively build children, filter out nulls
-    const children = neighbors.map(child => buildAlgorithmTreeNoLoops(child, [...path, node], goalSet, getNeighbors, algorithm)).filter(Boolean);
+    const children = neighbors.map(child => buildAlgorithmTreeNoLoops(child, [...path, node], goalSet, getNeighbors, algorithm, tally)).filter(Boolean);
     return {
         name: node,
         isGoal,
@@ -1638,9 +4026,7 @@ function buildAlgorithmTreeNoLoops(node, path, goalSet, getNeighbors, algorithm)
 function renderAlgorithmTreePanelNoLoops() {
     const algorithm = document.getElementById('algorithm').value;
     const startCity = document.getElementById('startCity').value;
-    const goal1 = document.getElementById('destCity').value;
-    const goal2 = document.getElementById('secondaryDestCity')?.value;
-    const goalSet = new Set([goal1, goal2].filter(Boolean));
+    const goalSet = getSelectedGoals();
     const container = document.getElementById('selectedStateSpaceGraph');
     container.innerHTML = '';
     if (!algorithm || !startCity || goalSet.size === 0) {
@@ -1648,7 +4034,7 @@ function renderAlgorithmTreePanelNoLoops() {
         return;
     }
     // Build tree
-    const tree = buildAlgorithmTreeNoLoops(startCity, [], goalSet, getNeighbors, algorithm);
+    const tree = buildAlgorithmTreeNoLoops(startCity, [], goalSet, node => getOrderedNeighbors(node, goalSet), algorithm);
     // D3 rendering
     const width = container.offsetWidth;
     const height = container.offsetHeight;
@@ -1706,19 +4092,20 @@ function renderAlgorithmTreePanelNoLoops() {
 
 // document.getElementById('algorithm').addEventListener('change', renderAlgorithmTreePanelNoLoops);
 // document.getElementById('startCity').addEventListener('change', renderAlgorithmTreePanelNoLoops);
-// document.getElementById('destCity').addEventListener('change', renderAlgorithmTreePanelNoLoops);
+// document.getElementById('goalCities').addEventListener('change', renderAlgorithmTreePanelNoLoops);
 // window.addEventListener('DOMContentLoaded', renderAlgorithmTreePanelNoLoops);
 
 // --- Tree Search Visualization for Fourth Panel (No Loops, Stop at Goals, Two Levels Below Goals) ---
-function buildAlgorithmTreeLimited(node, path, goalSet, getNeighbors, algorithm, goalDepth = null) {
+function buildAlgorithmTreeLimited(node, path, goalSet, getNeighbors, algorithm, goalDepth = null, tally = createPreviewTally()) {
     // If node is a goal, mark it and allow up to two more levels below
     const isGoal = goalSet.has(node);
     let currentGoalDepth = goalDepth;
     if (isGoal) currentGoalDepth = 2;
-    // If node is in path (cycle), do not expand further
-    if (path.includes(node)) {
+    // Leave out repeated states the way the selected search mode does
+    if (isPrunedInPreview(getResolvedSearchMode(algorithm), node, path, tally)) {
         return null;
     }
+    tallyPreviewNode(tally, node);
     // If we are below a goal and reached the limit, stop
     if (currentGoalDepth !== null && currentGoalDepth <= 0) {
         return {
@@ -1727,23 +4114,10 @@ function buildAlgorithmTreeLimited(node, path, goalSet, getNeighbors, algorithm,
             children: []
         };
     }
-    // Get all direct neighbors
-    let neighbors = getNeighbors(node).map(n => n.id);
-    // Order neighbors as per algorithm
-    if (algorithm === 'ucs') {
-        neighbors = getNeighbors(node).sort((a, b) => a.distance - b.distance).map(n => n.id);
-    } else if (algorithm === 'greedy' || algorithm === 'astar') {
-        // Use min straight-line distance to any goal
-        neighbors = getNeighbors(node).sort((a, b) =>
-            Math.min(...Array.from(goalSet).map(g => calculateStraightLineDistance(a.id, g))) -
-            Math.min(...Array.from(goalSet).map(g => calculateStraightLineDistance(b.id, g)))
-        ).map(n => n.id);
-    }
-    if (algorithm === 'dfs') {
-        neighbors = neighbors.slice().reverse();
-    }
+    // Direct neighbors, in the selected successor order
+    const neighbors = getNeighbors(node).map(n => n.id);
     // Recursively build children, filter out nulls
-    const children = neighbors.map(child => buildAlgorithmTreeLimited(child, [...path, node], goalSet, getNeighbors, algorithm, currentGoalDepth !== null ? currentGoalDepth - 1 : null)).filter(Boolean);
+    const children = neighbors.map(child => buildAlgorithmTreeLimited(child, [...path, node], goalSet, getNeighbors, algorithm, currentGoalDepth !== null ? currentGoalDepth - 1 : null, tally)).filter(Boolean);
     return {
         name: node,
         isGoal,
@@ -1754,9 +4128,7 @@ function buildAlgorithmTreeLimited(node, path, goalSet, getNeighbors, algorithm,
 function renderAlgorithmTreePanelLimited() {
     const algorithm = document.getElementById('algorithm').value;
     const startCity = document.getElementById('startCity').value;
-    const goal1 = document.getElementById('destCity').value;
-    const goal2 = document.getElementById('secondaryDestCity')?.value;
-    const goalSet = new Set([goal1, goal2].filter(Boolean));
+    const goalSet = getSelectedGoals();
     const container = document.getElementById('selectedStateSpaceGraph');
     container.innerHTML = '';
     if (!algorithm || !startCity || goalSet.size === 0) {
@@ -1764,7 +4136,7 @@ function renderAlgorithmTreePanelLimited() {
         return;
     }
     // Build tree
-    const tree = buildAlgorithmTreeLimited(startCity, [], goalSet, getNeighbors, algorithm);
+    const tree = buildAlgorithmTreeLimited(startCity, [], goalSet, node => getOrderedNeighbors(node, goalSet), algorithm);
     // D3 rendering
     const width = container.offsetWidth;
     const height = container.offsetHeight;
@@ -1822,7 +4194,7 @@ function renderAlgorithmTreePanelLimited() {
 
 // document.getElementById('algorithm').addEventListener('change', renderAlgorithmTreePanelLimited);
 // document.getElementById('startCity').addEventListener('change', renderAlgorithmTreePanelLimited);
-// document.getElementById('destCity').addEventListener('change', renderAlgorithmTreePanelLimited);
+// document.getElementById('goalCities').addEventListener('change', renderAlgorithmTreePanelLimited);
 // window.addEventListener('DOMContentLoaded', renderAlgorithmTreePanelLimited);
 
 // Handle window resize for responsive visualization
@@ -1848,21 +4220,21 @@ window.addEventListener('resize', function() {
         yScale.range([0, height]);
         
         // Update node and link positions
-        d3.selectAll('.node')
+        d3.selectAll('#graphContainer .node')
             .attr('cx', d => xScale(d.lon))
             .attr('cy', d => yScale(d.lat));
         
-        d3.selectAll('.node-label')
+        d3.selectAll('#graphContainer .node-label')
             .attr('x', d => xScale(d.lon))
             .attr('y', d => yScale(d.lat) - NODE_RADIUS - 3);
         
-        d3.selectAll('.link')
+        d3.selectAll('#graphContainer .link')
             .attr('x1', d => xScale(getNodeById(d.source).lon))
             .attr('y1', d => yScale(getNodeById(d.source).lat))
             .attr('x2', d => xScale(getNodeById(d.target).lon))
             .attr('y2', d => yScale(getNodeById(d.target).lat));
         
-        d3.selectAll('.edge-label')
+        d3.selectAll('#graphContainer .edge-label')
             .attr('x', d => (xScale(getNodeById(d.source).lon) + xScale(getNodeById(d.target).lon)) / 2)
             .attr('y', d => (yScale(getNodeById(d.source).lat) + yScale(getNodeById(d.target).lat)) / 2);
 
@@ -1872,9 +4244,11 @@ window.addEventListener('resize', function() {
 });
 
 // --- Tree Search Graph Visualization (root to goal nodes only) ---
-function buildTreeSearchGraphData(root, goalSet, getNeighbors) {
+function buildTreeSearchGraphData(root, goalSet, getNeighbors, searchMode = 'path-checking') {
     // Build tree level by level, adding only immediate children to already rendered nodes
     const tree = { name: root, isGoal: goalSet.has(root), children: [] };
+    const tally = createPreviewTally();
+    tallyPreviewNode(tally, root);
     let foundGoals = new Set();
     let queue = [{ node: tree, path: [root] }];
     let nodeMap = new Map();
@@ -1896,12 +4270,13 @@ function buildTreeSearchGraphData(root, goalSet, getNeighbors) {
         // Add immediate children to current node
         const neighbors = getNeighbors(currentTreeNode.name).map(n => n.id);
         for (const neighborId of neighbors) {
-            if (!path.includes(neighborId)) { // prevent cycles
+            if (!isPrunedInPreview(searchMode, neighborId, path, tally)) {
                 const newPath = [...path, neighborId];
                 let childNode = currentTreeNode.children.find(c => c.name === neighborId);
                 if (!childNode) {
                     childNode = { name: neighborId, isGoal: goalSet.has(neighborId), children: [] };
                     currentTreeNode.children.push(childNode);
+                    tallyPreviewNode(tally, neighborId);
                     nodeMap.set(neighborId, childNode);
                     queue.push({ node: childNode, path: newPath });
                 }
@@ -1915,9 +4290,7 @@ function buildTreeSearchGraphData(root, goalSet, getNeighbors) {
 function renderTreeSearchGraph() {
     const algorithm = document.getElementById('algorithm').value;
     const startCity = document.getElementById('startCity').value;
-    const goal1 = document.getElementById('destCity').value;
-    const goal2 = document.getElementById('secondaryDestCity')?.value;
-    const goalSet = new Set([goal1, goal2].filter(Boolean));
+    const goalSet = getSelectedGoals();
     const container = document.getElementById('treeSearchGraph');
     container.innerHTML = '';
     if (!startCity || goalSet.size === 0) {
@@ -1925,8 +4298,18 @@ function renderTreeSearchGraph() {
         return;
     }
     // Build tree data (only root-to-goal paths)
-    const tree = buildTreeSearchGraphData(startCity, goalSet, getNeighbors);
-    // D3 rendering
+    const tree = buildTreeSearchGraphData(startCity, goalSet, node => getOrderedNeighbors(node, goalSet), getResolvedSearchMode(algorithm));
+    drawSearchTree(container, tree, d => {
+        if (d.data.isGoal) return '#ef4444';
+        if (d.depth === 0) return '#3b82f6';
+        return '#22c55e';
+    });
+}
+
+/**
+ * Draw a { name, children } tree into a container with D3's tree layout
+ */
+function drawSearchTree(container, tree, nodeFill) {
     const width = container.offsetWidth;
     const height = container.offsetHeight;
     const svg = d3.select(container)
@@ -1958,11 +4341,7 @@ function renderTreeSearchGraph() {
         .attr('transform', d => `translate(${d.x},${d.y})`);
     node.append('circle')
         .attr('r', 35)
-        .attr('fill', d => {
-            if (d.data.isGoal) return '#ef4444';
-            if (d.depth === 0) return '#3b82f6';
-            return '#22c55e';
-        });
+        .attr('fill', nodeFill);
     node.append('foreignObject')
         .attr('x', -32)
         .attr('y', -22)
@@ -1981,10 +4360,93 @@ function renderTreeSearchGraph() {
         .text(d => d.data.name);
 }
 
+// --- Live Search Tree (built from the search engine's step events) ---
+let liveSearchTree = null;
+
+/**
+ * Start a fresh live search tree for a new run
+ */
+function resetSearchTreePanel() {
+    liveSearchTree = { root: null, byEntry: new Map() };
+}
+
+/**
+ * Grow the live search tree from a step event and redraw the tree panel
+ */
+function updateSearchTreePanel(event) {
+    if (applySearchTreeEvent(event)) {
+        renderLiveSearchTree();
+    }
+}
+
+/**
+ * Apply a step event to the live search tree; returns true when the tree changed.
+ * Only the forward search of bidirectional runs is drawn.
+ */
+function applySearchTreeEvent(event) {
+    if (!liveSearchTree) return false;
+    if (event.type === 'iteration') {
+        // Each IDDFS iteration rebuilds the tree from the root
+        resetSearchTreePanel();
+        return false;
+    }
+    if (!event.entry || event.direction === 'backward') return false;
+    
+    const entry = event.entry;
+    let treeNode = liveSearchTree.byEntry.get(entry.id);
+    switch (event.type) {
+        case 'push':
+            treeNode = { name: entry.node, status: 'frontier', isGoal: false, children: [] };
+            liveSearchTree.byEntry.set(entry.id, treeNode);
+            if (entry.parentId === null) {
+                liveSearchTree.root = treeNode;
+            } else if (liveSearchTree.byEntry.has(entry.parentId)) {
+                liveSearchTree.byEntry.get(entry.parentId).children.push(treeNode);
+            }
+            break;
+        case 'pop':
+            if (treeNode) {
+                treeNode.status = 'exploring';
+                // A re-expanded entry (RBFS) regenerates its forgotten subtree
+                treeNode.children = [];
+            }
+            break;
+        case 'goal-test':
+            if (treeNode) treeNode.isGoal = event.isGoal;
+            break;
+        case 'prune':
+            if (treeNode) treeNode.status = 'pruned';
+            break;
+        case 'expanded':
+            if (treeNode && treeNode.status !== 'pruned') treeNode.status = 'expanded';
+            break;
+        default:
+            return false;
+    }
+    return true;
+}
+
+/**
+ * Draw the live search tree in the tree panel
+ */
+function renderLiveSearchTree() {
+    const container = document.getElementById('treeSearchGraph');
+    if (!container || !liveSearchTree || !liveSearchTree.root) return;
+    container.innerHTML = '';
+    drawSearchTree(container, liveSearchTree.root, d => {
+        if (d.data.isGoal) return '#ef4444';
+        if (d.data.status === 'exploring') return '#fbbf24';
+        if (d.data.status === 'pruned') return '#9ca3af';
+        if (d.depth === 0) return '#3b82f6';
+        if (d.data.status === 'frontier') return '#86efac';
+        return '#22c55e';
+    });
+}
+
 document.getElementById('algorithm').addEventListener('change', renderTreeSearchGraph);
 document.getElementById('startCity').addEventListener('change', renderTreeSearchGraph);
-document.getElementById('destCity').addEventListener('change', renderTreeSearchGraph);
-if (document.getElementById('secondaryDestCity')) {
-    document.getElementById('secondaryDestCity').addEventListener('change', renderTreeSearchGraph);
-}
+document.getElementById('goalCities').addEventListener('change', renderTreeSearchGraph);
+['searchMode', 'successorOrder', 'orderSeed'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', renderTreeSearchGraph);
+});
 window.addEventListener('DOMContentLoaded', renderTreeSearchGraph);
\ No newline at end of file
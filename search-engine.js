@@ -0,0 +1,2851 @@
+/**
+ * Search Engine for the Search Algorithms Visualization
+ *
+ * Pure, DOM-free implementations of the search algorithms. Every algorithm is
+ * a generator that yields step events and returns the final result object, so
+ * the animated page and headless runs (grading, benchmarking, Node.js scripts)
+ * share exactly the same code.
+ *
+ * Event types yielded by the algorithms:
+ *   push       - an entry was added to the frontier (or a recursive call was made)
+ *   pop        - an entry was removed from the frontier for expansion
+ *   goal-test  - the popped node was tested against the goal(s)
+ *   prune      - a successor or a stale entry was discarded (see event.reason)
+ *   expanded   - expansion of the popped node is complete
+ *   iteration  - an iterative algorithm started a new iteration (IDDFS depth
+ *                limit, IDA* f-bound)
+ *   path-found - a solution path was found
+ *   plan       - D* Lite planned (or replanned) the route from the traveler
+ *   road-closed - D* Lite: a road ahead of the traveler closed
+ *   move       - D* Lite: the traveler moved one road along the plan
+ *
+ * When the problem sets `snapshots: true`, every event also carries a `state`
+ * snapshot of the algorithm's frontier structure(s) and explored set(s).
+ *
+ * The informed algorithms estimate with `problem.heuristic(nodeId, goalId)`,
+ * which defaults to the haversine straight-line distance (see createHeuristic).
+ */
+(function (root) {
+    const EARTH_RADIUS_KM = 6371;
+    // Slack for floating-point sums when comparing h against true costs
+    const HEURISTIC_TOLERANCE = 1e-6;
+
+    // ========================================================================
+    // COST MODELS
+    // ========================================================================
+
+    // Speed (km/h) and fuel use (litres/km) of links by their optional `roadClass`
+    const ROAD_CLASSES = {
+        'expressway': { speed: 100, fuelPerKm: 0.065 },
+        'highway': { speed: 70, fuelPerKm: 0.07 },
+        'main': { speed: 50, fuelPerKm: 0.08 },
+        'minor': { speed: 35, fuelPerKm: 0.09 }
+    };
+    // Links without a road class are treated as main roads
+    const DEFAULT_ROAD_CLASS = 'main';
+
+    function roadClassOf(link) {
+        return ROAD_CLASSES[link.roadClass] || ROAD_CLASSES[DEFAULT_ROAD_CLASS];
+    }
+
+    /**
+     * What a search minimizes. Each model turns a link ({ distance, and the
+     * optional roadClass, speedLimit in km/h and toll in LKR }) into a cost.
+     */
+    const costModels = {
+        'distance': { label: 'Distance', unit: 'km', cost: link => link.distance },
+        'time': {
+            label: 'Travel time',
+            unit: 'min',
+            cost: link => link.distance / (link.speedLimit > 0 ? link.speedLimit : roadClassOf(link).speed) * 60
+        },
+        'toll': { label: 'Tolls', unit: 'LKR', cost: link => (link.toll > 0 ? link.toll : 0) },
+        'fuel': { label: 'Fuel', unit: 'L', cost: link => link.distance * roadClassOf(link).fuelPerKm }
+    };
+
+    // ========================================================================
+    // GRAPH
+    // ========================================================================
+
+    /**
+     * Wrap raw graph data ({ nodes, links }) with the queries the algorithms need.
+     * Node, link and adjacency indexes are built once here, so every query is a
+     * map lookup instead of a scan over all links.
+     *
+     * `options.costModel` (a key of costModels, 'distance' by default) sets the
+     * cost of every link. Neighbor `distance` fields and path costs are in that
+     * model's unit, and `costPerKm` is the cheapest cost per kilometre of any
+     * link, which turns straight-line kilometres into an admissible estimate.
+     */
+    function createGraph(data, options = {}) {
+        const { costModel = 'distance' } = options;
+        const model = costModels[costModel];
+        if (!model) {
+            throw new Error(`Unknown cost model: ${costModel}`);
+        }
+        const linkCost = link => model.cost(link);
+        const nodeById = new Map();
+        const linkByPair = new Map();
+        const adjacency = new Map();
+        const pairKey = (sourceId, targetId) => `${sourceId}\u0000${targetId}`;
+
+        data.nodes.forEach(node => {
+            nodeById.set(node.id, node);
+            adjacency.set(node.id, []);
+        });
+        const neighborByPair = new Map();
+        const addNeighbor = (sourceId, targetId, link) => {
+            const key = pairKey(sourceId, targetId);
+            const known = neighborByPair.get(key);
+            // A pair listed more than once (e.g. once per direction) is one
+            // neighbor: the cheapest link wins, the first listed on a tie
+            if (known) {
+                if (linkCost(link) < known.distance) {
+                    known.distance = linkCost(link);
+                    linkByPair.set(key, link);
+                }
+                return;
+            }
+            const neighbor = { id: targetId, distance: linkCost(link) };
+            neighborByPair.set(key, neighbor);
+            linkByPair.set(key, link);
+            if (!adjacency.has(sourceId)) adjacency.set(sourceId, []);
+            adjacency.get(sourceId).push(neighbor);
+        };
+        data.links.forEach(link => {
+            // Links are traversable both ways; neighbors keep the file order of the links
+            addNeighbor(link.source, link.target, link);
+            if (link.target !== link.source) addNeighbor(link.target, link.source, link);
+        });
+
+        let costPerKm = Infinity;
+        data.links.forEach(link => {
+            if (link.distance > 0) costPerKm = Math.min(costPerKm, linkCost(link) / link.distance);
+        });
+        if (!Number.isFinite(costPerKm)) costPerKm = 1;
+
+        const graph = {
+            nodes: data.nodes,
+            links: data.links,
+            costModel,
+            costLabel: model.label,
+            costUnit: model.unit,
+            costPerKm,
+            linkCost,
+
+            getNode(id) {
+                return nodeById.get(id);
+            },
+
+            getLink(sourceId, targetId) {
+                return linkByPair.get(pairKey(sourceId, targetId));
+            },
+
+            getNeighbors(nodeId) {
+                return (adjacency.get(nodeId) || []).slice();
+            },
+
+            straightLineDistance(nodeId1, nodeId2) {
+                const node1 = graph.getNode(nodeId1);
+                const node2 = graph.getNode(nodeId2);
+                if (!node1 || !node2) return Infinity;
+                return haversineDistance(node1, node2);
+            },
+
+            /**
+             * Straight-line lower bound on the cost between two nodes under the
+             * cost model (the default heuristic)
+             */
+            estimateCost(nodeId1, nodeId2) {
+                return costPerKm * graph.straightLineDistance(nodeId1, nodeId2);
+            },
+
+            pathCost(path) {
+                let totalCost = 0;
+                for (let i = 0; i < path.length - 1; i++) {
+                    const link = graph.getLink(path[i], path[i + 1]);
+                    if (link) {
+                        totalCost += linkCost(link);
+                    }
+                }
+                return totalCost;
+            }
+        };
+        return graph;
+    }
+
+    /**
+     * View of a graph with closed cities and roads taken out of the neighbor
+     * lists, so every algorithm routes around them. Nodes, links and the other
+     * queries are unchanged. `closedRoads` is a list of [cityA, cityB] pairs;
+     * closing a road closes it in both directions.
+     */
+    function withClosures(graph, { closedNodes = [], closedRoads = [] } = {}) {
+        const roadKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+        const nodes = new Set(closedNodes);
+        const roads = new Set(closedRoads.map(([a, b]) => roadKey(a, b)));
+        return {
+            ...graph,
+            closedNodes: nodes,
+            isRoadClosed(sourceId, targetId) {
+                return roads.has(roadKey(sourceId, targetId));
+            },
+            getNeighbors(nodeId) {
+                if (nodes.has(nodeId)) return [];
+                return graph.getNeighbors(nodeId)
+                    .filter(neighbor => !nodes.has(neighbor.id) && !roads.has(roadKey(nodeId, neighbor.id)));
+            }
+        };
+    }
+
+    // City types of the graph data: capitals are start cities, DECs are goals,
+    // other cities are only passed through
+    const NODE_TYPES = ['capitol', 'dec', 'other'];
+    // Link fields that both listings of a road (one per direction) must agree on
+    const ROAD_FIELDS = ['distance', 'roadClass', 'speedLimit', 'toll'];
+
+    /**
+     * Check raw graph data against the schema createGraph expects:
+     *   { nodes: [{ id, type: 'capitol' | 'dec' | 'other', lat, lon }],
+     *     links: [{ source, target, distance > 0, roadClass?, speedLimit?, toll? }] }
+     * Roads may be listed once per direction, but both listings must agree.
+     * Returns a list of error messages, empty when the data is valid.
+     */
+    function validateGraphData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['The graph must be a JSON object with "nodes" and "links" arrays'];
+        }
+        const errors = [];
+        if (!Array.isArray(data.nodes)) errors.push('"nodes" must be an array');
+        if (!Array.isArray(data.links)) errors.push('"links" must be an array');
+        if (errors.length > 0) return errors;
+        if (data.nodes.length === 0) errors.push('The graph has no nodes');
+
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const ids = new Set();
+        data.nodes.forEach((node, index) => {
+            if (!node || typeof node !== 'object') {
+                errors.push(`Node ${index + 1} is not an object`);
+                return;
+            }
+            const name = typeof node.id === 'string' && node.id !== '' ? `Node ${index + 1} ("${node.id}")` : `Node ${index + 1}`;
+            if (typeof node.id !== 'string' || node.id === '') {
+                errors.push(`${name} needs a non-empty string id`);
+            } else if (ids.has(node.id)) {
+                errors.push(`${name} repeats the id of an earlier node`);
+            } else {
+                ids.add(node.id);
+            }
+            if (!NODE_TYPES.includes(node.type)) {
+                errors.push(`${name} has type ${JSON.stringify(node.type)}; expected one of ${NODE_TYPES.join(', ')}`);
+            }
+            if (!isNumber(node.lat) || node.lat < -90 || node.lat > 90) {
+                errors.push(`${name} is missing lat (a number between -90 and 90)`);
+            }
+            if (!isNumber(node.lon) || node.lon < -180 || node.lon > 180) {
+                errors.push(`${name} is missing lon (a number between -180 and 180)`);
+            }
+        });
+
+        const roads = new Map(); // unordered pair -> { link, number } of its first listing
+        const roadKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+        data.links.forEach((link, index) => {
+            const name = `Link ${index + 1}`;
+            if (!link || typeof link !== 'object') {
+                errors.push(`${name} is not an object`);
+                return;
+            }
+            const label = `${name} (${link.source} → ${link.target})`;
+            let endpointsKnown = true;
+            ['source', 'target'].forEach(end => {
+                if (!ids.has(link[end])) {
+                    errors.push(`${label} has an unknown ${end} ${JSON.stringify(link[end])}`);
+                    endpointsKnown = false;
+                }
+            });
+            if (endpointsKnown && link.source === link.target) {
+                errors.push(`${label} connects a city to itself`);
+            }
+            if (!isNumber(link.distance) || link.distance <= 0) {
+                errors.push(`${label} needs a positive distance (got ${JSON.stringify(link.distance)})`);
+            }
+            if (link.roadClass !== undefined && !ROAD_CLASSES[link.roadClass]) {
+                errors.push(`${label} has an unknown roadClass ${JSON.stringify(link.roadClass)}; expected one of ${Object.keys(ROAD_CLASSES).join(', ')}`);
+            }
+            if (link.speedLimit !== undefined && (!isNumber(link.speedLimit) || link.speedLimit <= 0)) {
+                errors.push(`${label} needs a positive speedLimit (got ${JSON.stringify(link.speedLimit)})`);
+            }
+            if (link.toll !== undefined && (!isNumber(link.toll) || link.toll < 0)) {
+                errors.push(`${label} needs a toll of 0 or more (got ${JSON.stringify(link.toll)})`);
+            }
+            if (!endpointsKnown) return;
+
+            const first = roads.get(roadKey(link.source, link.target));
+            if (!first) {
+                roads.set(roadKey(link.source, link.target), { link, number: index + 1 });
+                return;
+            }
+            if (first.link.source === link.source) {
+                errors.push(`${label} repeats link ${first.number} in the same direction`);
+                return;
+            }
+            const differences = ROAD_FIELDS.filter(field => first.link[field] !== link[field]);
+            if (differences.length > 0) {
+                errors.push(`${label} disagrees with its reverse link ${first.number} on ${differences
+                    .map(field => `${field} (${JSON.stringify(link[field])} vs ${JSON.stringify(first.link[field])})`)
+                    .join(', ')}`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Great-circle distance in kilometres between two { lat, lon } points
+     */
+    function haversineDistance(point1, point2) {
+        const lat1Rad = point1.lat * Math.PI / 180;
+        const lon1Rad = point1.lon * Math.PI / 180;
+        const lat2Rad = point2.lat * Math.PI / 180;
+        const lon2Rad = point2.lon * Math.PI / 180;
+
+        const dLat = lat2Rad - lat1Rad;
+        const dLon = lon2Rad - lon1Rad;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(lat1Rad) * Math.cos(lat2Rad) *
+                  Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+        return EARTH_RADIUS_KM * c;
+    }
+
+    /**
+     * Flat-earth approximation of the great-circle distance: longitude is
+     * scaled by the cosine of the mean latitude
+     */
+    function equirectangularDistance(point1, point2) {
+        const meanLatRad = (point1.lat + point2.lat) / 2 * Math.PI / 180;
+        const x = (point2.lon - point1.lon) * Math.PI / 180 * Math.cos(meanLatRad);
+        const y = (point2.lat - point1.lat) * Math.PI / 180;
+        return EARTH_RADIUS_KM * Math.sqrt(x * x + y * y);
+    }
+
+    /**
+     * Manhattan (L1) distance on the lat/lon grid in kilometres. It can exceed
+     * the road distance on diagonal roads, so it is not admissible in general.
+     */
+    function manhattanDistance(point1, point2) {
+        const meanLatRad = (point1.lat + point2.lat) / 2 * Math.PI / 180;
+        const dLon = Math.abs(point2.lon - point1.lon) * Math.PI / 180 * Math.cos(meanLatRad);
+        const dLat = Math.abs(point2.lat - point1.lat) * Math.PI / 180;
+        return EARTH_RADIUS_KM * (dLat + dLon);
+    }
+
+    /**
+     * Shortest-path tree from the nearest of `sources` to every reachable node
+     * (Dijkstra / UCS without a goal): { costs, parents }, where parents maps a
+     * node to its predecessor on a cheapest path (null for the sources)
+     */
+    function shortestPathTree(graph, sources) {
+        const costs = new Map();
+        const parents = new Map();
+        const frontier = createPriorityQueue((a, b) => a.cost - b.cost);
+        sources.forEach(source => {
+            if (graph.getNode(source)) frontier.push({ node: source, parent: null, cost: 0 });
+        });
+        while (frontier.length > 0) {
+            const current = frontier.pop();
+            if (costs.has(current.node)) continue;
+            costs.set(current.node, current.cost);
+            parents.set(current.node, current.parent);
+            for (const neighbor of graph.getNeighbors(current.node)) {
+                if (!costs.has(neighbor.id)) {
+                    frontier.push({ node: neighbor.id, parent: current.node, cost: current.cost + neighbor.distance });
+                }
+            }
+        }
+        return { costs, parents };
+    }
+
+    /**
+     * Exact shortest-path cost from the nearest of `sources` to every reachable
+     * node. Roads are undirected, so these are also the true costs h*(n) from
+     * every node to the nearest source.
+     */
+    function shortestPathCosts(graph, sources) {
+        return shortestPathTree(graph, sources).costs;
+    }
+
+    // ========================================================================
+    // GOAL HELPERS
+    // ========================================================================
+
+    function isGoalNode(nodeId, goalOrSet) {
+        return goalOrSet instanceof Set ? goalOrSet.has(nodeId) : nodeId === goalOrSet;
+    }
+
+    /**
+     * h(n) to the nearest goal. `estimate(nodeId, goalId)` is the pairwise
+     * heuristic, the haversine straight-line distance by default.
+     */
+    function heuristicToGoalOrGoals(graph, nodeId, goalOrSet, estimate = graph.estimateCost) {
+        if (goalOrSet instanceof Set) {
+            if (goalOrSet.size === 0) return Infinity;
+            let minH = Infinity;
+            for (const g of goalOrSet) {
+                const h = estimate(nodeId, g);
+                if (h < minH) minH = h;
+            }
+            return minH;
+        }
+        return estimate(nodeId, goalOrSet);
+    }
+
+    function goalList(goalOrSet) {
+        return goalOrSet instanceof Set ? Array.from(goalOrSet) : [goalOrSet];
+    }
+
+    function describeGoal(goalOrSet) {
+        return goalOrSet instanceof Set ? Array.from(goalOrSet).join(', ') : goalOrSet;
+    }
+
+    // ========================================================================
+    // HEURISTICS
+    // ========================================================================
+
+    /**
+     * Heuristic library. Coordinate-based heuristics measure kilometres between
+     * the two nodes' { lat, lon }, rescaled by the graph's costPerKm; ALT derives lower bounds from exact costs to a few
+     * landmark nodes via the triangle inequality; a table holds hand-entered
+     * h(n) values for the current goal, as in textbook exercises.
+     */
+    const heuristics = {
+        'haversine': { label: 'Haversine (great-circle)', distance: haversineDistance },
+        'equirectangular': { label: 'Equirectangular approximation', distance: equirectangularDistance },
+        'manhattan': { label: 'Manhattan on lat/lon', distance: manhattanDistance },
+        'zero': { label: 'Zero (h = 0)', distance: () => 0 },
+        'alt': { label: 'Landmarks (ALT)' },
+        'table': { label: 'Custom h(n) table' }
+    };
+
+    /**
+     * Pick `count` landmarks spread over the graph: each new landmark is the node
+     * farthest (by road) from the landmarks chosen so far
+     */
+    function selectLandmarks(graph, count) {
+        const landmarks = [];
+        if (graph.nodes.length === 0 || count <= 0) return landmarks;
+        // Seed with the node farthest from an arbitrary first node
+        let nearest = shortestPathCosts(graph, [graph.nodes[0].id]);
+        while (landmarks.length < count) {
+            let best = null;
+            let bestCost = -1;
+            graph.nodes.forEach(node => {
+                const cost = nearest.get(node.id);
+                if (cost !== undefined && cost > bestCost && !landmarks.includes(node.id)) {
+                    best = node.id;
+                    bestCost = cost;
+                }
+            });
+            if (best === null) break;
+            landmarks.push(best);
+            nearest = shortestPathCosts(graph, landmarks);
+        }
+        return landmarks;
+    }
+
+    /**
+     * Create a pairwise heuristic estimate(nodeId, goalId) for `graph`.
+     * options.scale multiplies every estimate (scale > 1 gives inadmissible
+     * variants); options.landmarkCount sets the number of ALT landmarks;
+     * options.table maps node ids to h(n) for the 'table' heuristic (missing
+     * nodes estimate 0; the estimate is flagged `goalSpecific`). ALT heuristics
+     * expose their landmark ids as `estimate.landmarks`.
+     */
+    function createHeuristic(graph, name = 'haversine', options = {}) {
+        const { scale = 1, landmarkCount = 4, table = {} } = options;
+        if (!heuristics[name]) {
+            throw new Error(`Unknown heuristic: ${name}`);
+        }
+        if (!(scale >= 0)) {
+            throw new Error('Heuristic scale must be a number greater than or equal to 0');
+        }
+
+        if (name === 'table') {
+            // The table is written for the goal at hand, so the goal id is ignored
+            const estimate = nodeId => {
+                const h = table[nodeId];
+                return scale * (typeof h === 'number' && h >= 0 ? h : 0);
+            };
+            // Searches toward other targets (e.g. back to the start) must not use it
+            estimate.goalSpecific = true;
+            return estimate;
+        }
+
+        if (name === 'alt') {
+            const landmarks = selectLandmarks(graph, landmarkCount);
+            const costsFrom = landmarks.map(landmark => shortestPathCosts(graph, [landmark]));
+            const estimate = (nodeId, goalId) => {
+                // |d(L, n) - d(L, goal)| <= d(n, goal) for every landmark L
+                let bound = 0;
+                costsFrom.forEach(costs => {
+                    const toNode = costs.get(nodeId);
+                    const toGoal = costs.get(goalId);
+                    if (toNode !== undefined && toGoal !== undefined) {
+                        bound = Math.max(bound, Math.abs(toNode - toGoal));
+                    }
+                });
+                return scale * bound;
+            };
+            estimate.landmarks = landmarks;
+            return estimate;
+        }
+
+        const { distance } = heuristics[name];
+        return (nodeId, goalId) => {
+            const node = graph.getNode(nodeId);
+            const goalNode = graph.getNode(goalId);
+            if (!node || !goalNode) return Infinity;
+            return scale * graph.costPerKm * distance(node, goalNode);
+        };
+    }
+
+    /**
+     * Check a heuristic against the true costs h*(n) to the goal(s).
+     * Reports every node where h(n) > h*(n) (not admissible) and every directed
+     * edge n -> m of the neighbor lists (so closures apply) where
+     * h(n) > c(n, m) + h(m) (not consistent).
+     */
+    function checkHeuristic(graph, goalOrSet, estimate = graph.estimateCost) {
+        const trueCosts = shortestPathCosts(graph, goalList(goalOrSet));
+        const values = new Map();
+        graph.nodes.forEach(node => {
+            values.set(node.id, heuristicToGoalOrGoals(graph, node.id, goalOrSet, estimate));
+        });
+
+        const inadmissible = [];
+        graph.nodes.forEach(node => {
+            const h = values.get(node.id);
+            const trueCost = trueCosts.has(node.id) ? trueCosts.get(node.id) : Infinity;
+            if (h > trueCost + HEURISTIC_TOLERANCE) {
+                inadmissible.push({ node: node.id, h, trueCost, excess: h - trueCost });
+            }
+        });
+
+        // The roads a search can take: one per neighbor, without closures
+        const inconsistent = [];
+        graph.nodes.forEach(node => {
+            const hFrom = values.get(node.id);
+            graph.getNeighbors(node.id).forEach(neighbor => {
+                const hTo = values.get(neighbor.id);
+                if (hFrom > neighbor.distance + hTo + HEURISTIC_TOLERANCE) {
+                    inconsistent.push({
+                        source: node.id,
+                        target: neighbor.id,
+                        distance: neighbor.distance,
+                        hSource: hFrom,
+                        hTarget: hTo,
+                        excess: hFrom - neighbor.distance - hTo
+                    });
+                }
+            });
+        });
+
+        return {
+            values,
+            trueCosts,
+            inadmissible,
+            inconsistent,
+            admissible: inadmissible.length === 0,
+            consistent: inconsistent.length === 0
+        };
+    }
+
+    // ========================================================================
+    // DATA STRUCTURES
+    // ========================================================================
+
+    /**
+     * FIFO queue with O(1) enqueue and dequeue
+     */
+    function createQueue(items = []) {
+        const elements = items.slice();
+        let head = 0;
+        return {
+            get length() {
+                return elements.length - head;
+            },
+            push(item) {
+                elements.push(item);
+            },
+            shift() {
+                if (head >= elements.length) return undefined;
+                const item = elements[head];
+                elements[head++] = undefined;
+                // Compact once the consumed prefix dominates the array
+                if (head > 1024 && head * 2 > elements.length) {
+                    elements.splice(0, head);
+                    head = 0;
+                }
+                return item;
+            },
+            toArray() {
+                return elements.slice(head);
+            }
+        };
+    }
+
+    /**
+     * Binary min-heap priority queue ordered by `compare`.
+     * Ties are broken by insertion order (FIFO, or LIFO with { lifo: true }),
+     * so runs are deterministic.
+     */
+    function createPriorityQueue(compare, { lifo = false } = {}) {
+        const heap = [];
+        let nextSeq = 0;
+        const less = (a, b) => {
+            const order = compare(a.item, b.item);
+            if (order !== 0) return order < 0;
+            return lifo ? a.seq > b.seq : a.seq < b.seq;
+        };
+
+        function siftUp(index) {
+            while (index > 0) {
+                const parent = (index - 1) >> 1;
+                if (!less(heap[index], heap[parent])) break;
+                [heap[index], heap[parent]] = [heap[parent], heap[index]];
+                index = parent;
+            }
+        }
+
+        function siftDown(index) {
+            for (;;) {
+                const left = 2 * index + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < heap.length && less(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && less(heap[right], heap[smallest])) smallest = right;
+                if (smallest === index) break;
+                [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+                index = smallest;
+            }
+        }
+
+        return {
+            get length() {
+                return heap.length;
+            },
+            push(item) {
+                heap.push({ item, seq: nextSeq++ });
+                siftUp(heap.length - 1);
+            },
+            pop() {
+                if (heap.length === 0) return undefined;
+                const top = heap[0];
+                const last = heap.pop();
+                if (heap.length > 0) {
+                    heap[0] = last;
+                    siftDown(0);
+                }
+                return top.item;
+            },
+            peek() {
+                return heap.length ? heap[0].item : undefined;
+            },
+            /**
+             * All items in the order they would be popped
+             */
+            toSortedArray() {
+                return heap.slice()
+                    .sort((a, b) => (less(a, b) ? -1 : less(b, a) ? 1 : 0))
+                    .map(node => node.item);
+            }
+        };
+    }
+
+    // ========================================================================
+    // SEARCH MODES
+    // ========================================================================
+
+    /**
+     * How a search treats repeated states (problem.searchMode):
+     *   graph          an explored or reached set keeps a state from being
+     *                  expanded twice; the memory-bounded searches remember the
+     *                  shallowest depth (DLS) or cheapest g (IDA*, RBFS) per state
+     *   tree           no check at all, so cycles are followed
+     *   path-checking  a successor already on its own path is rejected
+     */
+    const SEARCH_MODES = ['graph', 'tree', 'path-checking'];
+    // Mode of the algorithms that do not default to graph search
+    const DEFAULT_SEARCH_MODES = {
+        'dls': 'path-checking',
+        'iddfs': 'path-checking',
+        'idastar': 'path-checking',
+        'rbfs': 'path-checking'
+    };
+    // Dynamic programs that keep the best cost of every state, i.e. always graph search
+    const GRAPH_ONLY_ALGORITHMS = ['tour-dp', 'dstar-lite'];
+    // Expansions after which a tree or path-checking search gives up (problem.maxExpansions)
+    const TREE_SEARCH_MAX_EXPANSIONS = 10000;
+    // Path depth after which it gives up too: the recursive searches would overflow the stack
+    const TREE_SEARCH_MAX_DEPTH = 500;
+
+    /**
+     * Search mode an algorithm runs in when problem.searchMode is not given
+     */
+    function defaultSearchMode(algorithm) {
+        return DEFAULT_SEARCH_MODES[algorithm] || 'graph';
+    }
+
+    /**
+     * Search mode an algorithm actually runs in for a requested mode (falsy
+     * for its default)
+     */
+    function resolveSearchMode(algorithm, searchMode) {
+        if (GRAPH_ONLY_ALGORITHMS.includes(algorithm)) return 'graph';
+        const mode = searchMode || defaultSearchMode(algorithm);
+        if (!SEARCH_MODES.includes(mode)) {
+            throw new Error(`Unknown search mode: ${mode}`);
+        }
+        return mode;
+    }
+
+    /**
+     * Why a successor is not generated under the search mode, or null: 'visited'
+     * when graph search has reached it before, 'cycle' when path checking finds
+     * it on the parent's path. Tree search generates every successor.
+     */
+    function repeatedStateReason(mode, reached, parent, node) {
+        if (mode === 'graph') return reached.has(node) ? 'visited' : null;
+        if (mode === 'path-checking') return parent.path.includes(node) ? 'cycle' : null;
+        return null;
+    }
+
+    /**
+     * Repeated-state check for the linear-space searches (IDA*, RBFS), which
+     * re-generate states on purpose. Graph search keeps a table of the cheapest
+     * g seen per state and prunes only strictly costlier paths (and cycles,
+     * which zero-cost roads would otherwise follow forever)
+     */
+    function costedRepeatReason(mode, bestG, parent, node, g) {
+        if (mode === 'tree') return null;
+        if (parent.path.includes(node)) return 'cycle';
+        if (mode !== 'graph') return null;
+        const known = bestG.get(node);
+        if (known !== undefined && known < g - HEURISTIC_TOLERANCE) return 'visited';
+        if (known === undefined || g < known) bestG.set(node, g);
+        return null;
+    }
+
+    /**
+     * Pass a search's events through until it has expanded more than
+     * `maxExpansions` entries or generated a path deeper than
+     * TREE_SEARCH_MAX_DEPTH, then fail with limitReached set. Tree search may
+     * never stop on a graph with cycles; path checking stops, but may
+     * re-expand states along exponentially many paths first.
+     */
+    function* limitTreeSearch(search, searchMode, maxExpansions) {
+        const startTime = Date.now();
+        let expansions = 0;
+        let metrics = {};
+        for (;;) {
+            const step = search.next();
+            if (step.done) return step.value;
+            const event = step.value;
+            const tooDeep = event.type === 'push' && event.entry && event.entry.depth > TREE_SEARCH_MAX_DEPTH;
+            if (tooDeep || (event.type === 'pop' && ++expansions > maxExpansions)) {
+                const limit = tooDeep ? `a path of ${TREE_SEARCH_MAX_DEPTH} roads` : `${maxExpansions} expansions`;
+                return {
+                    success: false,
+                    ...metrics,
+                    searchMode,
+                    limitReached: true,
+                    executionTime: Date.now() - startTime,
+                    reason: searchMode === 'tree'
+                        ? `Tree search gave up after ${limit}: without repeated-state checks it follows cycles forever`
+                        : `Path-checking search gave up after ${limit}: it re-expands states reached along other paths`
+                };
+            }
+            metrics = event.metrics;
+            yield event;
+        }
+    }
+
+    // ========================================================================
+    // SUCCESSOR ORDER AND TIE-BREAKING
+    // ========================================================================
+
+    /**
+     * Order in which an expansion generates successors (problem.successorOrder):
+     *   file          order of the links in the graph data
+     *   alphabetical  by city id
+     *   cost          cheapest road first
+     *   heuristic     lowest estimate to the goal(s) first (to the start for a
+     *                 backward search)
+     *   random        shuffled, reproducibly for the same problem.seed
+     * Sorts are stable, so ties keep file order. DFS pushes the successors in
+     * reverse, so the first one is also expanded first.
+     */
+    const SUCCESSOR_ORDERS = ['file', 'alphabetical', 'cost', 'heuristic', 'random'];
+    /**
+     * Which of two entries with equal priority a priority queue pops first
+     * (problem.tieBreaking): the older (fifo) or newer (lifo) one, or the one
+     * with the lower h or lower g
+     */
+    const TIE_BREAKING_RULES = ['fifo', 'lifo', 'lower-h', 'lower-g'];
+    const DEFAULT_SEED = 1;
+
+    /**
+     * 32-bit FNV-1a hash of a string
+     */
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+     */
+    function seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Neighbors of `node` in the successor order. `estimate(id)` scores the
+     * heuristic order; the random order is shuffled per city from the seed, so a
+     * city lists its successors the same way every time it is expanded.
+     * options: { successorOrder, seed, estimate }
+     */
+    function orderSuccessors(graph, node, options = {}) {
+        const { successorOrder = 'file', seed = DEFAULT_SEED, estimate } = options;
+        const neighbors = graph.getNeighbors(node).slice();
+        switch (successorOrder) {
+            case 'file':
+                return neighbors;
+            case 'alphabetical':
+                return neighbors.sort((a, b) => a.id.localeCompare(b.id));
+            case 'cost':
+                return neighbors.sort((a, b) => a.distance - b.distance);
+            case 'heuristic': {
+                if (!estimate) throw new Error('The heuristic successor order needs an estimate');
+                const h = new Map(neighbors.map(neighbor => [neighbor.id, estimate(neighbor.id)]));
+                return neighbors.sort((a, b) => h.get(a.id) - h.get(b.id));
+            }
+            case 'random': {
+                const random = seededRandom(hashString(`${seed}\u0000${node}`));
+                for (let i = neighbors.length - 1; i > 0; i--) {
+                    const j = Math.floor(random() * (i + 1));
+                    [neighbors[i], neighbors[j]] = [neighbors[j], neighbors[i]];
+                }
+                return neighbors;
+            }
+            default:
+                throw new Error(`Unknown successor order: ${successorOrder}`);
+        }
+    }
+
+    // ========================================================================
+    // RUN BOOKKEEPING
+    // ========================================================================
+
+    /**
+     * Effective branching factor b*: the branching factor of a uniform tree of
+     * depth `depth` with `generated` nodes below the root,
+     *   generated = b* + b*^2 + ... + b*^depth
+     * solved by bisection; null for a solution at the root
+     */
+    function effectiveBranchingFactor(generated, depth) {
+        if (depth <= 0 || generated <= 0) return null;
+        const treeSize = b => {
+            let sum = 0;
+            let level = 1;
+            for (let i = 0; i < depth; i++) {
+                level *= b;
+                sum += level;
+            }
+            return sum;
+        };
+        let low = 0;
+        let high = Math.max(1, generated);
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (treeSize(mid) < generated) low = mid;
+            else high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Solution depth d (roads on the path), effective branching factor b* and
+     * penetrance d / N, where N counts the nodes generated besides the start
+     */
+    function solutionMetrics(nodesGenerated, depth) {
+        const generated = nodesGenerated - 1;
+        return {
+            solutionDepth: depth,
+            effectiveBranchingFactor: effectiveBranchingFactor(generated, depth),
+            penetrance: depth > 0 && generated > 0 ? depth / generated : null
+        };
+    }
+
+    /**
+     * Create the per-run state shared by an algorithm and its events
+     */
+    function createRun(problem = {}) {
+        // States generated so far, to count the repeated ones
+        const generated = new Set();
+        const tieBreaking = problem.tieBreaking || 'fifo';
+        // Heuristic estimate toward the goal(s), or back to the start for a backward search
+        const estimates = new Map();
+        const estimateFor = direction => {
+            if (!estimates.has(direction)) {
+                const { graph, heuristic } = problem;
+                let estimate;
+                if (direction !== 'backward') {
+                    estimate = node => heuristicToGoalOrGoals(graph, node, problem.goal, heuristic);
+                } else if (heuristic && heuristic.goalSpecific) {
+                    // It cannot estimate the cost back to the start
+                    estimate = () => 0;
+                } else {
+                    estimate = node => (heuristic || graph.estimateCost)(node, problem.start);
+                }
+                estimates.set(direction, estimate);
+            }
+            return estimates.get(direction);
+        };
+        const run = {
+            startTime: Date.now(),
+            snapshots: !!problem.snapshots,
+            searchMode: problem.searchMode || 'graph',
+            inspect: null, // set by the algorithm: () => { structures, explored }
+            measure: null, // set by the algorithm: () => { frontier, explored } sizes
+            nextEntryId: 0,
+            nodesExplored: 0, // expansions
+            nodesDiscovered: 0, // entries added to the frontier
+            nodesGenerated: 0, // generated states, kept or pruned
+            edgesProcessed: 0,
+            repeatedStates: 0,
+            maxFrontier: 0,
+            maxExplored: 0,
+
+            /**
+             * Record that a state was generated (the start, or a successor whether
+             * or not it is kept); returns true, and counts it, when it is a repeat
+             */
+            generate(state) {
+                run.nodesGenerated++;
+                if (generated.has(state)) {
+                    run.repeatedStates++;
+                    return true;
+                }
+                generated.add(state);
+                return false;
+            },
+
+            /**
+             * Neighbors of a node in the problem's successor order
+             */
+            successors(node, direction = 'forward') {
+                return orderSuccessors(problem.graph, node, {
+                    successorOrder: problem.successorOrder,
+                    seed: problem.seed,
+                    estimate: estimateFor(direction)
+                });
+            },
+
+            /**
+             * Priority queue ordered by `compare`, with ties broken by the
+             * problem's tie-breaking rule
+             */
+            createPriorityQueue(compare) {
+                if (tieBreaking === 'lifo') return createPriorityQueue(compare, { lifo: true });
+                if (tieBreaking === 'lower-g') {
+                    return createPriorityQueue((a, b) => compare(a, b) || a.g - b.g);
+                }
+                if (tieBreaking === 'lower-h') {
+                    const h = entry => (entry.h !== undefined ? entry.h : estimateFor(entry.direction)(entry.node));
+                    return createPriorityQueue((a, b) => compare(a, b) || h(a) - h(b));
+                }
+                return createPriorityQueue(compare);
+            },
+
+            /**
+             * Create a frontier entry. The path is extended from the parent entry
+             * lazily, so deep searches do not copy a path for every push.
+             */
+            entry(node, parent, fields = {}) {
+                let path = null;
+                return {
+                    id: run.nextEntryId++,
+                    parentId: parent ? parent.id : null,
+                    node,
+                    ...fields,
+                    get path() {
+                        if (!path) path = parent ? [...parent.path, node] : [node];
+                        return path;
+                    }
+                };
+            },
+
+            /**
+             * Counters shared by every algorithm, with the peak frontier and
+             * explored-set sizes sampled so far
+             */
+            metrics() {
+                if (run.measure) {
+                    const { frontier = 0, explored = 0 } = run.measure();
+                    run.maxFrontier = Math.max(run.maxFrontier, frontier);
+                    run.maxExplored = Math.max(run.maxExplored, explored);
+                }
+                return {
+                    nodesExplored: run.nodesExplored,
+                    nodesDiscovered: run.nodesDiscovered,
+                    nodesGenerated: run.nodesGenerated,
+                    edgesProcessed: run.edgesProcessed,
+                    repeatedStates: run.repeatedStates,
+                    maxFrontier: run.maxFrontier,
+                    maxExplored: run.maxExplored
+                };
+            },
+
+            event(type, data = {}) {
+                const event = {
+                    type,
+                    ...data,
+                    metrics: run.metrics()
+                };
+                if (run.snapshots && run.inspect) {
+                    event.state = run.inspect();
+                }
+                return event;
+            },
+
+            success(path, cost) {
+                return {
+                    success: true,
+                    path,
+                    cost,
+                    ...run.metrics(),
+                    ...solutionMetrics(run.nodesGenerated, path.length - 1),
+                    searchMode: run.searchMode,
+                    reachedGoal: path.length ? path[path.length - 1] : null,
+                    executionTime: Date.now() - run.startTime
+                };
+            },
+
+            failure(reason) {
+                return {
+                    success: false,
+                    ...run.metrics(),
+                    searchMode: run.searchMode,
+                    executionTime: Date.now() - run.startTime,
+                    reason
+                };
+            }
+        };
+        return run;
+    }
+
+    /**
+     * Copy frontier entries for a state snapshot
+     */
+    function snapshotEntries(entries) {
+        return entries.map(entry => ({
+            id: entry.id,
+            node: entry.node,
+            state: entry.state,
+            g: entry.g,
+            h: entry.h,
+            f: entry.f,
+            depth: entry.depth
+        }));
+    }
+
+    /**
+     * Yield the goal-test event for an entry and, on success, the path-found event
+     */
+    function* testGoal(run, graph, entry, goal, cost) {
+        const isGoal = isGoalNode(entry.node, goal);
+        yield run.event('goal-test', { node: entry.node, entry, isGoal });
+        if (isGoal) {
+            const pathCost = typeof cost === 'number' ? cost : graph.pathCost(entry.path);
+            yield run.event('path-found', { node: entry.node, path: entry.path, cost: pathCost });
+            return run.success(entry.path, pathCost);
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // SEARCH ALGORITHMS
+    // ========================================================================
+
+    /**
+     * Breadth-First Search (BFS)
+     * Explores all neighbors at the current depth before moving to next depth level
+     */
+    function* breadthFirstSearch(problem) {
+        const { graph, start, goal } = problem;
+        const run = createRun(problem);
+        const mode = run.searchMode;
+        const startEntry = run.entry(start, null, { depth: 0 });
+        const queue = createQueue([startEntry]);
+        const visited = new Set([start]);
+        run.inspect = () => ({
+            structures: [{ label: 'Queue (FIFO)', kind: 'queue', entries: snapshotEntries(queue.toArray()) }],
+            explored: mode === 'graph' ? [{ label: 'Reached set', closed: false, nodes: Array.from(visited) }] : []
+        });
+        run.measure = () => ({ frontier: queue.length, explored: mode === 'graph' ? visited.size : 0 });
+        run.generate(start);
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current });
+
+            const solution = yield* testGoal(run, graph, current, goal);
+            if (solution) return solution;
+
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                const reason = repeatedStateReason(mode, visited, current, neighbor.id);
+                if (!reason) {
+                    visited.add(neighbor.id);
+                    run.nodesDiscovered++;
+                    const child = run.entry(neighbor.id, current, { depth: current.depth + 1 });
+                    queue.push(child);
+                    yield run.event('push', { node: neighbor.id, entry: child });
+                } else {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                }
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+        }
+
+        return run.failure('No path exists between the cities');
+    }
+
+    /**
+     * Depth-First Search (DFS)
+     * Explores as far as possible along each branch before backtracking
+     */
+    function* depthFirstSearch(problem) {
+        const { graph, start, goal } = problem;
+        const run = createRun(problem);
+        const mode = run.searchMode;
+        const startEntry = run.entry(start, null, { depth: 0 });
+        const stack = [startEntry];
+        const visited = new Set([start]);
+        run.inspect = () => ({
+            // Top of the stack first
+            structures: [{ label: 'Stack (LIFO)', kind: 'stack', entries: snapshotEntries(stack).reverse() }],
+            explored: mode === 'graph' ? [{ label: 'Reached set', closed: false, nodes: Array.from(visited) }] : []
+        });
+        run.measure = () => ({ frontier: stack.length, explored: mode === 'graph' ? visited.size : 0 });
+        run.generate(start);
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current });
+
+            const solution = yield* testGoal(run, graph, current, goal);
+            if (solution) return solution;
+
+            const neighbors = run.successors(current.node);
+            // Push in reverse so the first successor in the order is expanded first
+            for (let i = neighbors.length - 1; i >= 0; i--) {
+                const neighbor = neighbors[i];
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                const reason = repeatedStateReason(mode, visited, current, neighbor.id);
+                if (!reason) {
+                    visited.add(neighbor.id);
+                    run.nodesDiscovered++;
+                    const child = run.entry(neighbor.id, current, { depth: current.depth + 1 });
+                    stack.push(child);
+                    yield run.event('push', { node: neighbor.id, entry: child });
+                } else {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                }
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+        }
+
+        return run.failure('No path exists between the cities');
+    }
+
+    /**
+     * Uniform-Cost Search (UCS)
+     * Expands the node with the lowest path cost first
+     */
+    function* uniformCostSearch(problem) {
+        const { graph, start, goal } = problem;
+        const run = createRun(problem);
+        const mode = run.searchMode;
+        const startEntry = run.entry(start, null, { g: 0, depth: 0 });
+        // Binary-heap priority queue ordered by path cost
+        const frontier = run.createPriorityQueue((a, b) => a.g - b.g);
+        frontier.push(startEntry);
+        const visited = new Set();
+        run.inspect = () => ({
+            structures: [{ label: 'Priority queue (by g)', kind: 'priority', orderBy: 'g', entries: snapshotEntries(frontier.toSortedArray()) }],
+            explored: mode === 'graph' ? [{ label: 'Explored set (closed)', closed: true, nodes: Array.from(visited) }] : []
+        });
+        run.measure = () => ({ frontier: frontier.length, explored: mode === 'graph' ? visited.size : 0 });
+        run.generate(start);
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+
+        while (frontier.length > 0) {
+            // Lowest path cost first
+            const current = frontier.pop();
+
+            if (mode === 'graph' && visited.has(current.node)) {
+                yield run.event('prune', { node: current.node, entry: current, reason: 'stale' });
+                continue;
+            }
+
+            visited.add(current.node);
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current });
+
+            const solution = yield* testGoal(run, graph, current, goal, current.g);
+            if (solution) return solution;
+
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                const reason = repeatedStateReason(mode, visited, current, neighbor.id);
+                if (!reason) {
+                    const child = run.entry(neighbor.id, current, {
+                        g: current.g + neighbor.distance,
+                        depth: current.depth + 1
+                    });
+                    frontier.push(child);
+                    run.nodesDiscovered++;
+                    yield run.event('push', { node: neighbor.id, entry: child });
+                } else {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                }
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+        }
+
+        return run.failure('No path exists between the cities');
+    }
+
+    /**
+     * One depth-limited DFS pass from the start, counted on `run`: DLS makes
+     * one pass, IDDFS one per depth limit on the same run
+     */
+    function* depthLimitedPass(run, problem, depthLimit) {
+        const { graph, start, goal } = problem;
+        const mode = run.searchMode;
+        // DLS keeps no explicit frontier: the recursion stack is the current path
+        const callStack = [];
+        // Graph search: the shallowest depth each state was reached at. A state
+        // reached again no deeper than before has nothing new to offer.
+        const reachedDepth = new Map([[start, 0]]);
+        run.inspect = () => ({
+            structures: [{ label: 'Recursion stack', kind: 'stack', entries: snapshotEntries(callStack).reverse() }],
+            explored: []
+        });
+        run.measure = () => ({ frontier: callStack.length, explored: mode === 'graph' ? reachedDepth.size : 0 });
+
+        function* dls(current, depth) {
+            callStack.push(current);
+            const result = yield* expand(current, depth);
+            callStack.pop();
+            return result;
+        }
+
+        function* expand(current, depth) {
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current });
+
+            const solution = yield* testGoal(run, graph, current, goal);
+            if (solution) return solution;
+
+            if (depth >= depthLimit) {
+                yield run.event('prune', { node: current.node, entry: current, reason: 'depth-limit' });
+                yield run.event('expanded', { node: current.node, entry: current });
+                return { success: false, reason: 'Depth limit reached' };
+            }
+
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                let reason = null;
+                if (mode === 'graph') {
+                    reason = reachedDepth.get(neighbor.id) <= depth + 1 ? 'visited' : null;
+                } else if (mode === 'path-checking') {
+                    reason = current.path.includes(neighbor.id) ? 'cycle' : null;
+                }
+                if (!reason) {
+                    reachedDepth.set(neighbor.id, depth + 1);
+                    const child = run.entry(neighbor.id, current, { depth: depth + 1 });
+                    run.nodesDiscovered++;
+                    yield run.event('push', { node: neighbor.id, entry: child });
+                    const result = yield* dls(child, depth + 1);
+                    if (result.success) return result;
+                } else {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                }
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+            return { success: false, reason: 'No path found within depth limit' };
+        }
+
+        const startEntry = run.entry(start, null, { depth: 0 });
+        run.generate(start);
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+        return yield* dls(startEntry, 0);
+    }
+
+    /**
+     * Depth-Limited Search (DLS)
+     * DFS with a depth limit to prevent infinite loops
+     */
+    function* depthLimitedSearch(problem) {
+        const run = createRun(problem);
+        const result = yield* depthLimitedPass(run, problem, problem.depthLimit);
+        return result.success ? result : run.failure(result.reason);
+    }
+
+    /**
+     * Iterative Deepening Depth-First Search (IDDFS)
+     * Performs DLS with gradually increasing depth limits; the metrics count
+     * every iteration's work
+     */
+    function* iterativeDeepeningSearch(problem) {
+        const { maxDepth = 5 } = problem;
+        const run = createRun(problem);
+        for (let depth = 0; depth <= maxDepth; depth++) {
+            yield run.event('iteration', { iteration: depth, depthLimit: depth });
+            const result = yield* depthLimitedPass(run, problem, depth);
+            if (result.success) return result;
+        }
+        return run.failure(`No path found within maximum depth of ${maxDepth}`);
+    }
+
+    /**
+     * Bidirectional Search
+     * Runs two searches simultaneously from start and goal. With several goals
+     * the backward search starts from all of them at once (multi-source).
+     */
+    function* bidirectionalSearch(problem) {
+        const { graph, start, goal } = problem;
+        const run = createRun(problem);
+        const frontStart = run.entry(start, null, { depth: 0, direction: 'forward' });
+        const mode = run.searchMode;
+        const backStarts = goalList(goal).map(node => run.entry(node, null, { depth: 0, direction: 'backward' }));
+        const queues = { forward: createQueue([frontStart]), backward: createQueue(backStarts) };
+        const reached = {
+            forward: new Map([[start, frontStart]]),
+            backward: new Map(backStarts.map(entry => [entry.node, entry]))
+        };
+        run.inspect = () => ({
+            structures: [
+                { label: 'Forward queue (FIFO)', kind: 'queue', direction: 'forward', entries: snapshotEntries(queues.forward.toArray()) },
+                { label: 'Backward queue (FIFO)', kind: 'queue', direction: 'backward', entries: snapshotEntries(queues.backward.toArray()) }
+            ],
+            // The reached sets always detect the meeting; graph search also prunes with them
+            explored: [
+                { label: 'Forward reached set', closed: false, direction: 'forward', nodes: Array.from(reached.forward.keys()) },
+                { label: 'Backward reached set', closed: false, direction: 'backward', nodes: Array.from(reached.backward.keys()) }
+            ]
+        });
+        run.measure = () => ({
+            frontier: queues.forward.length + queues.backward.length,
+            explored: reached.forward.size + reached.backward.size
+        });
+        // The two searches generate states independently
+        const stateKey = (direction, node) => `${direction}\u0000${node}`;
+        run.generate(stateKey('forward', start));
+        backStarts.forEach(entry => run.generate(stateKey('backward', entry.node)));
+        run.nodesDiscovered += 1 + backStarts.length; // start and goal(s) as seeds
+        yield run.event('push', { node: start, entry: frontStart, direction: 'forward' });
+        for (const backStart of backStarts) {
+            yield run.event('push', { node: backStart.node, entry: backStart, direction: 'backward' });
+        }
+
+        while (queues.forward.length > 0 && queues.backward.length > 0) {
+            for (const direction of ['forward', 'backward']) {
+                const queue = queues[direction];
+                if (queue.length === 0) continue;
+                const other = direction === 'forward' ? 'backward' : 'forward';
+
+                const current = queue.shift();
+                run.nodesExplored++;
+                yield run.event('pop', { node: current.node, entry: current, direction });
+
+                // Check if this node was reached from the opposite search
+                const meeting = reached[other].get(current.node);
+                yield run.event('goal-test', { node: current.node, entry: current, direction, isGoal: !!meeting });
+                if (meeting) {
+                    const frontPath = direction === 'forward' ? current.path : meeting.path;
+                    const backPath = direction === 'forward' ? meeting.path : current.path;
+                    const fullPath = [...frontPath, ...backPath.slice(0, -1).reverse()];
+                    const cost = graph.pathCost(fullPath);
+                    yield run.event('path-found', { node: current.node, path: fullPath, cost });
+                    return run.success(fullPath, cost);
+                }
+
+                for (const neighbor of run.successors(current.node, direction)) {
+                    run.edgesProcessed++;
+                    run.generate(stateKey(direction, neighbor.id));
+                    const reason = repeatedStateReason(mode, reached[direction], current, neighbor.id);
+                    if (!reason) {
+                        const child = run.entry(neighbor.id, current, { depth: current.depth + 1, direction });
+                        if (!reached[direction].has(neighbor.id)) reached[direction].set(neighbor.id, child);
+                        queue.push(child);
+                        run.nodesDiscovered++;
+                        yield run.event('push', { node: neighbor.id, entry: child, direction });
+                    } else {
+                        yield run.event('prune', { node: neighbor.id, parent: current, direction, reason });
+                    }
+                }
+
+                yield run.event('expanded', { node: current.node, entry: current, direction });
+            }
+        }
+
+        return run.failure('No path exists between the cities');
+    }
+
+    /**
+     * Weighted bidirectional search: bidirectional UCS, or bidirectional A* when
+     * `guided` (front-to-end heuristics: h(n, goal) forward, h(n, start) backward).
+     * The backward search starts from every goal at once (multi-source).
+     * Both sides keep a best-first frontier, and every generated node already
+     * reached by the other side may lower μ, the cost of the best meeting path.
+     * The search stops once no cheaper meeting path can exist:
+     *   bidirectional UCS: topF.g + topB.g ≥ μ
+     *   bidirectional A*:  max(topF.f, topB.f) ≥ μ
+     * A node is re-opened whenever a cheaper path to it is found, so an
+     * admissible but inconsistent heuristic still yields an optimal path.
+     */
+    function* weightedBidirectionalSearch(problem, guided) {
+        const { graph, start, goal } = problem;
+        const run = createRun(problem);
+        const mode = run.searchMode;
+        const estimate = problem.heuristic || graph.estimateCost;
+        // A goal-specific heuristic cannot estimate the cost back to the start
+        const heuristics = {
+            forward: guided ? nodeId => heuristicToGoalOrGoals(graph, nodeId, goal, estimate) : () => 0,
+            backward: guided && !estimate.goalSpecific ? nodeId => estimate(nodeId, start) : () => 0
+        };
+        const directions = ['forward', 'backward'];
+        const opposite = { forward: 'backward', backward: 'forward' };
+        const priority = entry => (guided ? entry.f : entry.g);
+        const frontiers = {
+            forward: run.createPriorityQueue((a, b) => priority(a) - priority(b)),
+            backward: run.createPriorityQueue((a, b) => priority(a) - priority(b))
+        };
+        // Cheapest entry found so far for every node, per direction
+        const best = { forward: new Map(), backward: new Map() };
+        const closed = { forward: new Set(), backward: new Set() };
+        const stoppingRule = guided ? 'max(topF.f, topB.f) ≥ μ' : 'topF.g + topB.g ≥ μ';
+        let mu = Infinity;
+        let meeting = null;
+        run.inspect = () => ({
+            structures: directions.map(direction => ({
+                label: `${direction === 'forward' ? 'Forward' : 'Backward'} priority queue (by ${guided ? 'f = g + h' : 'g'})`,
+                kind: 'priority',
+                orderBy: guided ? 'f' : 'g',
+                direction,
+                entries: snapshotEntries(frontiers[direction].toSortedArray())
+            })),
+            explored: mode !== 'graph' ? [] : directions.map(direction => ({
+                label: `${direction === 'forward' ? 'Forward' : 'Backward'} explored set (closed)`,
+                closed: true,
+                direction,
+                nodes: Array.from(closed[direction])
+            }))
+        });
+        run.measure = () => ({
+            frontier: frontiers.forward.length + frontiers.backward.length,
+            explored: mode === 'graph' ? closed.forward.size + closed.backward.size : 0
+        });
+        const stateKey = (direction, node) => `${direction}\u0000${node}`;
+
+        const makeEntry = (direction, node, parent, g) => {
+            const depth = parent ? parent.depth + 1 : 0;
+            if (!guided) return run.entry(node, parent, { g, depth, direction });
+            const h = heuristics[direction](node);
+            return run.entry(node, parent, { g, h, f: g + h, depth, direction });
+        };
+
+        // Queue an entry, keep it if it is the cheapest to its node and try it as a meeting point
+        function* reach(direction, entry) {
+            run.generate(stateKey(direction, entry.node));
+            const known = best[direction].get(entry.node);
+            if (!known || entry.g < known.g) best[direction].set(entry.node, entry);
+            frontiers[direction].push(entry);
+            run.nodesDiscovered++;
+            yield run.event('push', { node: entry.node, entry, direction });
+            const other = best[opposite[direction]].get(entry.node);
+            if (other && entry.g + other.g < mu) {
+                mu = entry.g + other.g;
+                meeting = direction === 'forward' ? { forward: entry, backward: other } : { forward: other, backward: entry };
+                yield run.event('goal-test', { node: entry.node, entry, direction, isGoal: false, meeting: true, bestCost: mu });
+            }
+        }
+
+        // Drop entries superseded by a cheaper path and return the frontier's top
+        function* validTop(direction) {
+            const frontier = frontiers[direction];
+            while (frontier.length > 0) {
+                const top = frontier.peek();
+                // Only graph search discards the superseded duplicates
+                if (mode !== 'graph' || best[direction].get(top.node) === top) return top;
+                frontier.pop();
+                yield run.event('prune', { node: top.node, entry: top, direction, reason: 'stale' });
+            }
+            return null;
+        }
+
+        yield* reach('forward', makeEntry('forward', start, null, 0));
+        for (const node of goalList(goal)) {
+            yield* reach('backward', makeEntry('backward', node, null, 0));
+        }
+
+        let stoppingBound = null;
+        for (;;) {
+            const topF = yield* validTop('forward');
+            const topB = yield* validTop('backward');
+            if (!topF || !topB) break;
+            const lowerBound = guided ? Math.max(topF.f, topB.f) : topF.g + topB.g;
+            if (lowerBound >= mu) {
+                stoppingBound = lowerBound;
+                break;
+            }
+
+            // Expand the side whose best entry is cheaper
+            const direction = priority(topF) <= priority(topB) ? 'forward' : 'backward';
+            const current = frontiers[direction].pop();
+            closed[direction].add(current.node);
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current, direction, bestCost: mu });
+
+            for (const neighbor of run.successors(current.node, direction)) {
+                run.edgesProcessed++;
+                const g = current.g + neighbor.distance;
+                const known = best[direction].get(neighbor.id);
+                let reason = null;
+                if (mode === 'graph') {
+                    reason = known && known.g <= g ? 'visited' : null;
+                } else if (mode === 'path-checking') {
+                    reason = current.path.includes(neighbor.id) ? 'cycle' : null;
+                }
+                if (reason) {
+                    run.generate(stateKey(direction, neighbor.id));
+                    yield run.event('prune', { node: neighbor.id, parent: current, direction, reason });
+                    continue;
+                }
+                yield* reach(direction, makeEntry(direction, neighbor.id, current, g));
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current, direction });
+        }
+
+        if (!meeting) {
+            return run.failure('No path exists between the cities');
+        }
+        const meetingNode = meeting.forward.node;
+        const fullPath = [...meeting.forward.path, ...meeting.backward.path.slice(0, -1).reverse()];
+        const stop = {
+            meetingNode,
+            bestCost: mu,
+            stoppingRule: stoppingBound === null ? 'a frontier is exhausted' : stoppingRule,
+            stoppingBound
+        };
+        yield run.event('goal-test', { node: meetingNode, entry: meeting.forward, isGoal: true, meeting: true, ...stop });
+        yield run.event('path-found', { node: meetingNode, path: fullPath, cost: mu });
+        return { ...run.success(fullPath, mu), ...stop };
+    }
+
+    /**
+     * Bidirectional Uniform-Cost Search
+     */
+    function* bidirectionalUniformCostSearch(problem) {
+        return yield* weightedBidirectionalSearch(problem, false);
+    }
+
+    /**
+     * Bidirectional A* Search
+     */
+    function* bidirectionalAStarSearch(problem) {
+        return yield* weightedBidirectionalSearch(problem, true);
+    }
+
+    /**
+     * Greedy Best-First Search
+     * Uses heuristic to guide search toward goal
+     */
+    function* greedyBestFirstSearch(problem) {
+        const { graph, start, goal } = problem;
+        const run = createRun(problem);
+        const mode = run.searchMode;
+        const heuristic = nodeId => heuristicToGoalOrGoals(graph, nodeId, goal, problem.heuristic);
+        const startEntry = run.entry(start, null, {
+            g: 0,
+            h: heuristic(start),
+            depth: 0
+        });
+        const frontier = run.createPriorityQueue((a, b) => a.h - b.h);
+        frontier.push(startEntry);
+        const visited = new Set();
+        run.inspect = () => ({
+            structures: [{ label: 'Priority queue (by h)', kind: 'priority', orderBy: 'h', entries: snapshotEntries(frontier.toSortedArray()) }],
+            explored: mode === 'graph' ? [{ label: 'Explored set (closed)', closed: true, nodes: Array.from(visited) }] : []
+        });
+        run.measure = () => ({ frontier: frontier.length, explored: mode === 'graph' ? visited.size : 0 });
+        run.generate(start);
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+
+        while (frontier.length > 0) {
+            // Lowest heuristic first
+            const current = frontier.pop();
+
+            if (mode === 'graph' && visited.has(current.node)) {
+                yield run.event('prune', { node: current.node, entry: current, reason: 'stale' });
+                continue;
+            }
+
+            visited.add(current.node);
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current });
+
+            const solution = yield* testGoal(run, graph, current, goal);
+            if (solution) return solution;
+
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                const reason = repeatedStateReason(mode, visited, current, neighbor.id);
+                if (!reason) {
+                    const child = run.entry(neighbor.id, current, {
+                        g: current.g + neighbor.distance,
+                        h: heuristic(neighbor.id),
+                        depth: current.depth + 1
+                    });
+                    frontier.push(child);
+                    run.nodesDiscovered++;
+                    yield run.event('push', { node: neighbor.id, entry: child });
+                } else {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                }
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+        }
+
+        return run.failure('No path exists between the cities');
+    }
+
+    /**
+     * A* Search
+     * Combines actual cost and heuristic for optimal pathfinding.
+     * With problem.heuristicWeight = w it is Weighted A*, expanding by f = g + w·h:
+     * w = 0 behaves like UCS, w = 1 is plain A*, and large w approaches Greedy.
+     */
+    function* aStarSearch(problem) {
+        const { graph, start, goal, heuristicWeight = 1 } = problem;
+        if (!(heuristicWeight >= 0)) {
+            throw new Error('Heuristic weight must be a number greater than or equal to 0');
+        }
+        const run = createRun(problem);
+        const mode = run.searchMode;
+        const heuristic = nodeId => heuristicToGoalOrGoals(graph, nodeId, goal, problem.heuristic);
+        const startH = heuristic(start);
+        const startEntry = run.entry(start, null, { g: 0, h: startH, f: heuristicWeight * startH, depth: 0 });
+        const frontier = run.createPriorityQueue((a, b) => a.f - b.f);
+        frontier.push(startEntry);
+        const visited = new Set();
+        const priorityLabel = heuristicWeight === 1 ? 'f = g + h' : `f = g + ${heuristicWeight}·h`;
+        run.inspect = () => ({
+            structures: [{ label: `Priority queue (by ${priorityLabel})`, kind: 'priority', orderBy: 'f', entries: snapshotEntries(frontier.toSortedArray()) }],
+            explored: mode === 'graph' ? [{ label: 'Explored set (closed)', closed: true, nodes: Array.from(visited) }] : []
+        });
+        run.measure = () => ({ frontier: frontier.length, explored: mode === 'graph' ? visited.size : 0 });
+        run.generate(start);
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+
+        while (frontier.length > 0) {
+            // Lowest f-score (cost + heuristic) first
+            const current = frontier.pop();
+
+            if (mode === 'graph' && visited.has(current.node)) {
+                yield run.event('prune', { node: current.node, entry: current, reason: 'stale' });
+                continue;
+            }
+
+            visited.add(current.node);
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current });
+
+            const solution = yield* testGoal(run, graph, current, goal, current.g);
+            if (solution) return { ...solution, heuristicWeight };
+
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                const reason = repeatedStateReason(mode, visited, current, neighbor.id);
+                if (!reason) {
+                    const g = current.g + neighbor.distance;
+                    const h = heuristic(neighbor.id);
+                    const f = g + heuristicWeight * h;
+                    const child = run.entry(neighbor.id, current, { g, h, f, depth: current.depth + 1 });
+                    frontier.push(child);
+                    run.nodesDiscovered++;
+                    yield run.event('push', { node: neighbor.id, entry: child });
+                } else {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                }
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+        }
+
+        return { ...run.failure('No path exists between the cities'), heuristicWeight };
+    }
+
+    /**
+     * Iterative Deepening A* (IDA*)
+     * Depth-first search bounded by f = g + h; each iteration raises the bound to
+     * the smallest f-cost that exceeded the previous one
+     */
+    function* iterativeDeepeningAStarSearch(problem) {
+        const { graph, start, goal, maxIterations = 1000 } = problem;
+        const run = createRun(problem);
+        const heuristic = nodeId => heuristicToGoalOrGoals(graph, nodeId, goal, problem.heuristic);
+        const mode = run.searchMode;
+        const bestG = new Map([[start, 0]]);
+        const callStack = [];
+        const expandedNodes = new Set();
+        const bounds = [];
+        let reExpansions = 0;
+        let bound = heuristic(start);
+        run.inspect = () => ({
+            structures: [{
+                label: `Recursion stack (f-bound ${bound.toFixed(1)})`,
+                kind: 'stack',
+                entries: snapshotEntries(callStack).reverse()
+            }],
+            explored: []
+        });
+        run.measure = () => ({ frontier: callStack.length, explored: mode === 'graph' ? bestG.size : 0 });
+
+        function* search(current) {
+            callStack.push(current);
+            const result = yield* expand(current);
+            callStack.pop();
+            return result;
+        }
+
+        function* expand(current) {
+            run.nodesExplored++;
+            if (expandedNodes.has(current.node)) {
+                reExpansions++;
+            } else {
+                expandedNodes.add(current.node);
+            }
+            yield run.event('pop', { node: current.node, entry: current, bound });
+
+            const solution = yield* testGoal(run, graph, current, goal, current.g);
+            if (solution) return { solution, nextBound: null };
+
+            // Smallest f-cost seen beyond the current bound
+            let nextBound = Infinity;
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                const g = current.g + neighbor.distance;
+                const reason = costedRepeatReason(mode, bestG, current, neighbor.id, g);
+                if (reason) {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                    continue;
+                }
+                const h = heuristic(neighbor.id);
+                const f = g + h;
+                if (f > bound) {
+                    nextBound = Math.min(nextBound, f);
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason: 'f-bound', f, bound });
+                    continue;
+                }
+                const child = run.entry(neighbor.id, current, { g, h, f, depth: current.depth + 1 });
+                run.nodesDiscovered++;
+                yield run.event('push', { node: neighbor.id, entry: child });
+                const result = yield* search(child);
+                if (result.solution) return result;
+                nextBound = Math.min(nextBound, result.nextBound);
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+            return { solution: null, nextBound };
+        }
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            bounds.push(bound);
+            yield run.event('iteration', { iteration, bound });
+
+            const startH = heuristic(start);
+            const startEntry = run.entry(start, null, { g: 0, h: startH, f: startH, depth: 0 });
+            run.generate(start);
+            run.nodesDiscovered++;
+            yield run.event('push', { node: start, entry: startEntry });
+
+            const result = yield* search(startEntry);
+            if (result.solution) {
+                return { ...result.solution, bounds, reExpansions };
+            }
+            if (result.nextBound === Infinity) {
+                return { ...run.failure('No path exists between the cities'), bounds, reExpansions };
+            }
+            bound = result.nextBound;
+        }
+
+        return { ...run.failure(`No path found within ${maxIterations} f-bound iterations`), bounds, reExpansions };
+    }
+
+    /**
+     * Recursive Best-First Search (RBFS)
+     * Best-first search in linear space: each call is bounded by the f-value of
+     * the best alternative path, and abandoned subtrees back up their best f-value
+     */
+    function* recursiveBestFirstSearch(problem) {
+        const { graph, start, goal } = problem;
+        const run = createRun(problem);
+        const heuristic = nodeId => heuristicToGoalOrGoals(graph, nodeId, goal, problem.heuristic);
+        const mode = run.searchMode;
+        const bestG = new Map([[start, 0]]);
+        const callStack = [];
+        const expandedNodes = new Set();
+        let reExpansions = 0;
+        let maxRecursionDepth = 0;
+        let storedSuccessors = 0;
+        // Successors of the node being expanded, with their backed-up f-values
+        let successors = [];
+        let fLimit = Infinity;
+        run.inspect = () => ({
+            structures: [
+                {
+                    label: `Recursion path (f-limit ${Number.isFinite(fLimit) ? fLimit.toFixed(1) : '∞'})`,
+                    kind: 'stack',
+                    entries: snapshotEntries(callStack).reverse()
+                },
+                {
+                    label: 'Successors (by backed-up f)',
+                    kind: 'priority',
+                    orderBy: 'f',
+                    entries: snapshotEntries(successors.map(s => ({ ...s.entry, f: s.f })))
+                        .sort((a, b) => a.f - b.f)
+                }
+            ],
+            explored: []
+        });
+        // Memory is the recursion path plus the successor lists held at every level
+        run.measure = () => ({ frontier: callStack.length + storedSuccessors, explored: mode === 'graph' ? bestG.size : 0 });
+
+        function* rbfs(current, limit) {
+            callStack.push(current);
+            maxRecursionDepth = Math.max(maxRecursionDepth, callStack.length);
+            const result = yield* expand(current, limit);
+            callStack.pop();
+            return result;
+        }
+
+        function* expand(current, limit) {
+            fLimit = limit;
+            successors = [];
+            run.nodesExplored++;
+            if (expandedNodes.has(current.node)) {
+                reExpansions++;
+            } else {
+                expandedNodes.add(current.node);
+            }
+            yield run.event('pop', { node: current.node, entry: current, bound: limit });
+
+            const solution = yield* testGoal(run, graph, current, goal, current.g);
+            if (solution) return { solution, f: current.f };
+
+            const children = [];
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                run.generate(neighbor.id);
+                const g = current.g + neighbor.distance;
+                const reason = costedRepeatReason(mode, bestG, current, neighbor.id, g);
+                if (reason) {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                    continue;
+                }
+                const h = heuristic(neighbor.id);
+                // A child's f is never below its parent's (backed-up) f
+                const f = Math.max(g + h, current.f);
+                const child = run.entry(neighbor.id, current, { g, h, f, depth: current.depth + 1 });
+                children.push({ entry: child, f });
+                storedSuccessors++;
+                run.nodesDiscovered++;
+                successors = children;
+                yield run.event('push', { node: neighbor.id, entry: child });
+            }
+
+            if (children.length === 0) {
+                yield run.event('expanded', { node: current.node, entry: current });
+                return { solution: null, f: Infinity };
+            }
+
+            for (;;) {
+                children.sort((a, b) => a.f - b.f);
+                successors = children;
+                fLimit = limit;
+                const best = children[0];
+                // Every child backed up Infinity: the goal is unreachable below here
+                if (best.f > limit || best.f === Infinity) {
+                    yield run.event('prune', { node: current.node, entry: current, reason: 'f-limit', f: best.f, bound: limit });
+                    yield run.event('expanded', { node: current.node, entry: current });
+                    storedSuccessors -= children.length;
+                    return { solution: null, f: best.f };
+                }
+                const alternative = children.length > 1 ? children[1].f : Infinity;
+                const result = yield* rbfs(best.entry, Math.min(limit, alternative));
+                if (result.solution) return result;
+                // Back up the best f-value found below the abandoned subtree
+                best.f = result.f;
+            }
+        }
+
+        const startH = heuristic(start);
+        const startEntry = run.entry(start, null, { g: 0, h: startH, f: startH, depth: 0 });
+        run.generate(start);
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+
+        const result = yield* rbfs(startEntry, Infinity);
+        const extras = { reExpansions, maxRecursionDepth };
+        return result.solution
+            ? { ...result.solution, ...extras }
+            : { ...run.failure('No path exists between the cities'), ...extras };
+    }
+
+    // ========================================================================
+    // TOUR PLANNING
+    // ========================================================================
+
+    // Goal subsets are bitmasks; Held-Karp needs O(2^k · k) memory
+    const TOUR_MAX_GOALS = 20;
+    const HELD_KARP_MAX_GOALS = 12;
+
+    /**
+     * Goals a tour from `start` must visit (the start itself is visited already)
+     */
+    function tourGoals(start, goal, maxGoals) {
+        const goals = Array.from(new Set(goalList(goal))).filter(node => node !== start);
+        if (goals.length > maxGoals) {
+            throw new Error(`Tour planning supports at most ${maxGoals} goals (got ${goals.length})`);
+        }
+        return goals;
+    }
+
+    /**
+     * Exact road costs between the start and every goal, plus the trees that
+     * rebuild the roads between them
+     */
+    function tourDistances(graph, start, goals) {
+        const trees = new Map();
+        [start, ...goals].forEach(node => trees.set(node, shortestPathTree(graph, [node])));
+        const distance = (from, to) => {
+            const cost = trees.get(from).costs.get(to);
+            return cost === undefined ? Infinity : cost;
+        };
+        // Road path from `from` (a tree root) to `to`, walking the parent links
+        const roadPath = (from, to) => {
+            const { parents } = trees.get(from);
+            const path = [];
+            for (let node = to; node !== null && node !== undefined; node = parents.get(node)) {
+                path.push(node);
+            }
+            return path.reverse();
+        };
+        return { distance, roadPath, trees };
+    }
+
+    /**
+     * Split a closed tour (a city sequence) into legs ending at each newly
+     * visited goal and a final leg back to the start
+     */
+    function splitTourLegs(graph, tour, goals) {
+        const pending = new Set(goals);
+        const legs = [];
+        let legStart = 0;
+        tour.forEach((node, index) => {
+            const isLast = index === tour.length - 1;
+            if (index > 0 && (pending.has(node) || isLast)) {
+                pending.delete(node);
+                const path = tour.slice(legStart, index + 1);
+                legs.push({ from: path[0], to: node, path, cost: graph.pathCost(path) });
+                legStart = index;
+            }
+        });
+        return legs;
+    }
+
+    /**
+     * Tour search over states (city, set of visited goals): find the cheapest
+     * closed route from the start through every goal and back. Plain UCS, or A*
+     * when `guided`, with the MST heuristic
+     *   h(city, visited) = min over unvisited goals u of d(city, u)
+     *                      + MST(unvisited goals ∪ {start})
+     * using exact road costs d, which never overestimates the rest of the tour.
+     */
+    function* tourStateSearch(problem, guided) {
+        const { graph, start } = problem;
+        const run = createRun(problem);
+        const mode = run.searchMode;
+        const goals = tourGoals(start, problem.goal, TOUR_MAX_GOALS);
+        const bitOf = new Map(goals.map((node, index) => [node, 1 << index]));
+        const fullMask = (1 << goals.length) - 1;
+        const { distance } = tourDistances(graph, start, goals);
+        const describeVisited = mask => `{${goals.filter((node, index) => mask & (1 << index)).join(', ')}}`;
+
+        // Weight of the minimum spanning tree (Prim) over the unvisited goals and the start
+        const mstCache = new Map();
+        const mstWeight = mask => {
+            if (mstCache.has(mask)) return mstCache.get(mask);
+            const points = [start, ...goals.filter((node, index) => !(mask & (1 << index)))];
+            const inTree = new Set([points[0]]);
+            let weight = 0;
+            while (inTree.size < points.length) {
+                let cheapest = Infinity;
+                let next = null;
+                points.forEach(point => {
+                    if (inTree.has(point)) return;
+                    inTree.forEach(member => {
+                        const d = distance(member, point);
+                        if (d < cheapest) {
+                            cheapest = d;
+                            next = point;
+                        }
+                    });
+                });
+                if (next === null) {
+                    weight = Infinity;
+                    break;
+                }
+                inTree.add(next);
+                weight += cheapest;
+            }
+            mstCache.set(mask, weight);
+            return weight;
+        };
+        const heuristic = (city, mask) => {
+            if (!guided) return 0;
+            if (mask === fullMask) return distance(start, city);
+            let nearest = Infinity;
+            goals.forEach((node, index) => {
+                if (!(mask & (1 << index))) nearest = Math.min(nearest, distance(node, city));
+            });
+            return nearest + mstWeight(mask);
+        };
+
+        const stateKey = (city, mask) => `${city}\u0000${mask}`;
+        const makeEntry = (city, mask, parent, g) => {
+            const h = heuristic(city, mask);
+            const fields = { g, depth: parent ? parent.depth + 1 : 0, mask, state: describeVisited(mask) };
+            return run.entry(city, parent, guided ? { ...fields, h, f: g + h } : fields);
+        };
+        // Path checking: does (city, mask) already occur along the entry's own path?
+        const onPath = (entry, city, mask) => {
+            let pathMask = 0;
+            return entry.path.some(node => {
+                pathMask |= bitOf.get(node) || 0;
+                return node === city && pathMask === mask;
+            });
+        };
+        const priority = entry => (guided ? entry.f : entry.g);
+        const frontier = run.createPriorityQueue((a, b) => priority(a) - priority(b));
+        // Cheapest entry per state; a state is re-opened when a cheaper path reaches it
+        const best = new Map();
+        const expandedStates = [];
+        run.inspect = () => ({
+            structures: [{
+                label: `Priority queue of (city, visited goals) states (by ${guided ? 'f = g + h_MST' : 'g'})`,
+                kind: 'priority',
+                orderBy: guided ? 'f' : 'g',
+                entries: snapshotEntries(frontier.toSortedArray())
+            }],
+            explored: [{ label: 'Expanded states', closed: false, nodes: expandedStates.slice() }]
+        });
+        run.measure = () => ({ frontier: frontier.length, explored: mode === 'graph' ? best.size : 0 });
+
+        const startEntry = makeEntry(start, 0, null, 0);
+        best.set(stateKey(start, 0), startEntry);
+        frontier.push(startEntry);
+        run.generate(stateKey(start, 0));
+        run.nodesDiscovered++;
+        yield run.event('push', { node: start, entry: startEntry });
+
+        while (frontier.length > 0) {
+            const current = frontier.pop();
+            if (mode === 'graph' && best.get(stateKey(current.node, current.mask)) !== current) {
+                yield run.event('prune', { node: current.node, entry: current, reason: 'stale' });
+                continue;
+            }
+            expandedStates.push(`${current.node} ${current.state}`);
+            run.nodesExplored++;
+            yield run.event('pop', { node: current.node, entry: current });
+
+            const isGoal = current.node === start && current.mask === fullMask;
+            yield run.event('goal-test', { node: current.node, entry: current, isGoal });
+            if (isGoal) {
+                const tour = current.path;
+                const legs = splitTourLegs(graph, tour, goals);
+                yield run.event('path-found', { node: current.node, path: tour, cost: current.g, legs });
+                // A tour ends back at the start rather than at a goal
+                return { ...run.success(tour, current.g), reachedGoal: null, legs, tourGoals: goals };
+            }
+
+            for (const neighbor of run.successors(current.node)) {
+                run.edgesProcessed++;
+                const mask = current.mask | (bitOf.get(neighbor.id) || 0);
+                const g = current.g + neighbor.distance;
+                const key = stateKey(neighbor.id, mask);
+                run.generate(key);
+                const known = best.get(key);
+                let reason = null;
+                if (mode === 'graph') {
+                    reason = known && known.g <= g ? 'visited' : null;
+                } else if (mode === 'path-checking') {
+                    reason = onPath(current, neighbor.id, mask) ? 'cycle' : null;
+                }
+                if (reason) {
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason });
+                    continue;
+                }
+                const child = makeEntry(neighbor.id, mask, current, g);
+                if (!Number.isFinite(priority(child))) {
+                    // Some unvisited goal (or the way back) is unreachable from here
+                    yield run.event('prune', { node: neighbor.id, parent: current, reason: 'dead-end' });
+                    continue;
+                }
+                if (!known || g < known.g) best.set(key, child);
+                frontier.push(child);
+                run.nodesDiscovered++;
+                yield run.event('push', { node: neighbor.id, entry: child });
+            }
+
+            yield run.event('expanded', { node: current.node, entry: current });
+        }
+
+        return run.failure('No tour can visit every goal and return to the start');
+    }
+
+    /**
+     * Tour by Uniform-Cost Search over (city, visited goals) states
+     */
+    function* tourUniformCostSearch(problem) {
+        return yield* tourStateSearch(problem, false);
+    }
+
+    /**
+     * Tour by A* over (city, visited goals) states with the MST heuristic
+     */
+    function* tourAStarSearch(problem) {
+        return yield* tourStateSearch(problem, true);
+    }
+
+    /**
+     * Exact tour by Held-Karp dynamic programming over the road costs between
+     * the start and the goals: cost[S][j] is the cheapest route from the start
+     * through the goal subset S ending at goal j. O(2^k · k^2) for k goals.
+     */
+    function* heldKarpTour(problem) {
+        const { graph, start } = problem;
+        const run = createRun(problem);
+        const goals = tourGoals(start, problem.goal, HELD_KARP_MAX_GOALS);
+        const k = goals.length;
+        const { distance, roadPath } = tourDistances(graph, start, goals);
+        run.nodesDiscovered = k + 1;
+
+        const subsets = 1 << k;
+        const cost = new Float64Array(subsets * k).fill(Infinity);
+        const previous = new Int32Array(subsets * k).fill(-1);
+        // The whole table is held in memory; there is no frontier
+        run.measure = () => ({ frontier: 0, explored: subsets * k });
+        // States are table indices mask · k + j; the start is -1
+        run.generate(-1);
+        for (let j = 0; j < k; j++) {
+            run.generate((1 << j) * k + j);
+            cost[(1 << j) * k + j] = distance(start, goals[j]);
+        }
+        for (let mask = 1; mask < subsets; mask++) {
+            for (let j = 0; j < k; j++) {
+                const here = cost[mask * k + j];
+                if (!(mask & (1 << j)) || !Number.isFinite(here)) continue;
+                run.nodesExplored++;
+                for (let next = 0; next < k; next++) {
+                    if (mask & (1 << next)) continue;
+                    run.edgesProcessed++;
+                    const nextMask = mask | (1 << next);
+                    run.generate(nextMask * k + next);
+                    const candidate = here + distance(goals[j], goals[next]);
+                    if (candidate < cost[nextMask * k + next]) {
+                        cost[nextMask * k + next] = candidate;
+                        previous[nextMask * k + next] = j;
+                    }
+                }
+            }
+        }
+
+        // Close the tour back at the start
+        let bestCost = k === 0 ? 0 : Infinity;
+        let last = -1;
+        for (let j = 0; j < k; j++) {
+            const candidate = cost[(subsets - 1) * k + j] + distance(goals[j], start);
+            if (candidate < bestCost) {
+                bestCost = candidate;
+                last = j;
+            }
+        }
+        if (!Number.isFinite(bestCost)) {
+            return run.failure('No tour can visit every goal and return to the start');
+        }
+
+        const order = [];
+        for (let mask = subsets - 1, j = last; j !== -1;) {
+            order.unshift(goals[j]);
+            const before = previous[mask * k + j];
+            mask &= ~(1 << j);
+            j = before;
+        }
+        const stops = k === 0 ? [start] : [start, ...order, start];
+        const legs = [];
+        const tour = [start];
+        for (let i = 1; i < stops.length; i++) {
+            const path = roadPath(stops[i - 1], stops[i]);
+            legs.push({ from: stops[i - 1], to: stops[i], path, cost: distance(stops[i - 1], stops[i]) });
+            tour.push(...path.slice(1));
+        }
+        yield run.event('path-found', { node: start, path: tour, cost: bestCost, legs });
+        return {
+            ...run.success(tour, bestCost),
+            // Depth in DP steps (one per goal and the way back), not roads
+            ...solutionMetrics(run.nodesGenerated, stops.length - 1),
+            reachedGoal: null,
+            legs,
+            tourGoals: goals,
+            visitOrder: order
+        };
+    }
+
+    // ========================================================================
+    // DYNAMIC REPLANNING
+    // ========================================================================
+
+    // Cost D* Lite charges internally for a free road (reported costs stay exact)
+    const DSTAR_MIN_STEP_COST = 1e-9;
+
+    /**
+     * D* Lite (Koenig & Likhachev, 2002): a traveler follows the plan and,
+     * after `problem.closeAfterSteps` roads (default 1), the next road on the
+     * plan closes. The search runs backward from the goal(s) towards the
+     * traveler, so after the closure only the nodes whose cost-to-goal changed
+     * are re-expanded instead of planning again from scratch. Every replan is
+     * compared with a full A* rerun from the traveler's position.
+     *
+     * Goal-specific heuristics (a custom h(n) table) cannot estimate the
+     * cost to the traveler, so the straight-line estimate is used instead.
+     */
+    function* dStarLiteSearch(problem) {
+        const { graph, start, goal } = problem;
+        const closeAfterSteps = problem.closeAfterSteps ?? 1;
+        const run = createRun(problem);
+        const goalSet = new Set(goalList(goal));
+        const estimate = problem.heuristic && !problem.heuristic.goalSpecific
+            ? problem.heuristic
+            : graph.estimateCost;
+
+        // The traveler (the estimate's target) moves, so consistency must hold for
+        // every target; for estimates obeying the triangle inequality (straight-line
+        // and ALT) that is h(a, b) <= c(a, b) on every road
+        const consistentEstimate = graph.links.every(link => {
+            const cost = graph.linkCost(link) + HEURISTIC_TOLERANCE;
+            return estimate(link.source, link.target) <= cost && estimate(link.target, link.source) <= cost;
+        });
+
+        const roadKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+        const closedRoads = [];
+        const closed = new Set();
+        // Open roads out of a node
+        const neighbors = nodeId => graph.getNeighbors(nodeId)
+            .filter(neighbor => !closed.has(roadKey(nodeId, neighbor.id)));
+        const roadCost = (a, b) => neighbors(a).find(neighbor => neighbor.id === b).distance;
+        // D* Lite needs positive edge costs: with free roads (e.g. the toll model)
+        // stale cost-to-goal values can prop each other up around a zero-cost cycle
+        const stepCost = neighbor => Math.max(neighbor.distance, DSTAR_MIN_STEP_COST);
+
+        // g: cost-to-goal of the last expansion; rhs: one-step lookahead from the neighbors' g
+        const gValue = new Map();
+        const rhsValue = new Map();
+        const getG = node => (gValue.has(node) ? gValue.get(node) : Infinity);
+        const getRhs = node => (rhsValue.has(node) ? rhsValue.get(node) : Infinity);
+        let position = start;
+        let lastPosition = start;
+        let km = 0;
+
+        // Priority queue U ordered by the key [f, g] = [min(g, rhs) + h + km, min(g, rhs)];
+        // `open` holds the live item per node, older items are skipped lazily
+        const queue = createPriorityQueue((a, b) => a.f - b.f || a.g - b.g);
+        const open = new Map();
+        const pushed = [];
+        const seen = new Set();
+        const expandedNodes = [];
+        const keyOf = node => {
+            const g = Math.min(getG(node), getRhs(node));
+            const h = estimate(node, position);
+            return { g, h, f: g + h + km };
+        };
+        const keyLess = (a, b) => a.f < b.f || (a.f === b.f && a.g < b.g);
+        const insert = node => {
+            run.generate(node);
+            const item = { id: run.nextEntryId++, node, ...keyOf(node) };
+            open.set(node, item);
+            queue.push(item);
+            pushed.push(item);
+        };
+        const top = () => {
+            while (queue.length > 0 && open.get(queue.peek().node) !== queue.peek()) queue.pop();
+            return queue.peek();
+        };
+        const updateVertex = node => {
+            if (!goalSet.has(node)) {
+                let best = Infinity;
+                for (const neighbor of neighbors(node)) {
+                    best = Math.min(best, stepCost(neighbor) + getG(neighbor.id));
+                }
+                rhsValue.set(node, best);
+            }
+            open.delete(node);
+            if (getG(node) !== getRhs(node)) insert(node);
+        };
+        run.inspect = () => ({
+            structures: [{
+                label: 'Priority queue U (by key min(g, rhs) + h + km)',
+                kind: 'priority',
+                orderBy: 'f',
+                direction: 'backward',
+                entries: snapshotEntries(Array.from(open.values()).sort((a, b) => a.f - b.f || a.g - b.g))
+            }],
+            explored: [{ label: 'Expanded (backward from the goal)', closed: false, direction: 'backward', nodes: expandedNodes.slice() }]
+        });
+        run.measure = () => ({ frontier: open.size, explored: gValue.size });
+
+        function* flushPushes() {
+            for (const item of pushed.splice(0)) {
+                if (!seen.has(item.node)) {
+                    seen.add(item.node);
+                    run.nodesDiscovered++;
+                }
+                yield run.event('push', { node: item.node, entry: item, direction: 'backward' });
+            }
+        }
+
+        // Expand until the traveler's cost-to-goal is settled, or with `exhaustive`
+        // until every node is consistent; returns the number of expansions
+        function* computeShortestPath(exhaustive = false) {
+            let expansions = 0;
+            for (;;) {
+                const item = top();
+                if (!item) break;
+                if (!exhaustive && !(keyLess(item, keyOf(position)) || getRhs(position) !== getG(position))) break;
+                queue.pop();
+                open.delete(item.node);
+                const key = keyOf(item.node);
+                if (keyLess(item, key)) {
+                    // The key is out of date since the traveler moved: requeue it
+                    insert(item.node);
+                    continue;
+                }
+                run.nodesExplored++;
+                expansions++;
+                expandedNodes.push(item.node);
+                yield run.event('pop', { node: item.node, entry: item, direction: 'backward' });
+                if (getG(item.node) > getRhs(item.node)) {
+                    // Overconsistent: the node got cheaper, settle it
+                    gValue.set(item.node, getRhs(item.node));
+                } else {
+                    // Underconsistent: the node got dearer, reopen it and its neighbors
+                    gValue.set(item.node, Infinity);
+                    updateVertex(item.node);
+                }
+                for (const neighbor of neighbors(item.node)) {
+                    run.edgesProcessed++;
+                    updateVertex(neighbor.id);
+                }
+                yield* flushPushes();
+                yield run.event('expanded', { node: item.node, entry: item, direction: 'backward' });
+            }
+            return expansions;
+        }
+
+        // Walk down the cost-to-goal from the traveler, always taking a cheapest
+        // road (breadth-first over ties, which zero-cost roads make common); null
+        // when cut off or when stale g-values only lead around in a circle
+        const planFrom = node => {
+            if (!Number.isFinite(getG(node))) return null;
+            const parents = new Map([[node, null]]);
+            const layer = [node];
+            for (let i = 0; i < layer.length; i++) {
+                const current = layer[i];
+                if (goalSet.has(current)) {
+                    const plan = [];
+                    for (let step = current; step !== null; step = parents.get(step)) plan.unshift(step);
+                    return plan;
+                }
+                const options = neighbors(current).map(neighbor => ({ id: neighbor.id, cost: stepCost(neighbor) + getG(neighbor.id) }));
+                const best = Math.min(...options.map(option => option.cost));
+                if (!Number.isFinite(best)) continue;
+                options.forEach(option => {
+                    if (option.cost <= best + HEURISTIC_TOLERANCE && !parents.has(option.id)) {
+                        parents.set(option.id, current);
+                        layer.push(option.id);
+                    }
+                });
+            }
+            return null;
+        };
+        // The early stop of computeShortestPath is only exact for a consistent
+        // heuristic; otherwise settle every node before planning
+        function* settlePlan() {
+            let exhaustive = !consistentEstimate;
+            let expansions = yield* computeShortestPath(exhaustive);
+            let plan = planFrom(position);
+            if (!plan && !exhaustive && Number.isFinite(getG(position))) {
+                exhaustive = true;
+                expansions += yield* computeShortestPath(true);
+                plan = planFrom(position);
+            }
+            return { plan, expansions, exhaustive };
+        }
+
+        goalSet.forEach(goalId => {
+            rhsValue.set(goalId, 0);
+            insert(goalId);
+        });
+        yield* flushPushes();
+        const initial = yield* settlePlan();
+        const initialExpansions = initial.expansions;
+        let plan = initial.plan;
+        if (!plan) {
+            return run.failure('No path exists between the cities');
+        }
+        const initialPath = plan;
+        yield run.event('plan', { node: position, path: plan, cost: getG(position) });
+
+        const traveled = [start];
+        const replans = [];
+        const extras = () => ({ initialPath, initialCost: graph.pathCost(initialPath), initialExpansions, closeAfterSteps, closedRoads: closedRoads.slice(), replans });
+        let cost = 0;
+        while (!goalSet.has(position)) {
+            if (traveled.length - 1 === closeAfterSteps && closedRoads.length === 0) {
+                // The next road on the plan closes while the traveler is en route
+                const road = [plan[0], plan[1]];
+                closed.add(roadKey(road[0], road[1]));
+                closedRoads.push(road);
+                yield run.event('road-closed', { node: position, road });
+                km += estimate(lastPosition, position);
+                lastPosition = position;
+                updateVertex(road[0]);
+                updateVertex(road[1]);
+                yield* flushPushes();
+                const replan = yield* settlePlan();
+                const rerun = runSearch('astar', {
+                    graph: withClosures(graph, { closedRoads }),
+                    start: position,
+                    goal,
+                    heuristic: problem.heuristic
+                });
+                replans.push({ at: position, road, reExpanded: replan.expansions, astarExpanded: rerun.nodesExplored, exhaustive: replan.exhaustive });
+                plan = replan.plan;
+                if (!plan) {
+                    return { ...run.failure(`No route is left after ${road[0]} – ${road[1]} closed`), path: traveled, ...extras() };
+                }
+                yield run.event('plan', { node: position, path: plan, cost: getG(position), replan: replans[replans.length - 1] });
+            }
+            cost += roadCost(plan[0], plan[1]);
+            position = plan[1];
+            traveled.push(position);
+            plan = plan.slice(1);
+            yield run.event('move', { node: position, path: traveled.slice(), cost });
+        }
+
+        yield run.event('path-found', { node: position, path: traveled, cost });
+        return { ...run.success(traveled, cost), ...extras() };
+    }
+
+    // ========================================================================
+    // K SHORTEST PATHS
+    // ========================================================================
+
+    /**
+     * Cheapest path from `start` to the nearest goal that avoids the blocked
+     * nodes and the blocked directed edges ("from\u0000to" keys); null if none
+     */
+    function restrictedShortestPath(graph, start, goal, blockedNodes, blockedEdges) {
+        const settled = new Set();
+        const frontier = createPriorityQueue((a, b) => a.cost - b.cost);
+        frontier.push({ node: start, path: [start], cost: 0 });
+        while (frontier.length > 0) {
+            const current = frontier.pop();
+            if (settled.has(current.node)) continue;
+            settled.add(current.node);
+            if (isGoalNode(current.node, goal)) return current.path;
+            for (const neighbor of graph.getNeighbors(current.node)) {
+                if (settled.has(neighbor.id) || blockedNodes.has(neighbor.id)) continue;
+                if (blockedEdges.has(`${current.node}\u0000${neighbor.id}`)) continue;
+                frontier.push({ node: neighbor.id, path: [...current.path, neighbor.id], cost: current.cost + neighbor.distance });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Yen's algorithm: the `k` cheapest loopless routes from `start` to the
+     * goal(s), cheapest first, as [{ path, cost }]. Each new route branches off
+     * a spur node of the previous one, avoiding the edges that earlier routes
+     * with the same root took from that spur node.
+     */
+    function kShortestPaths(graph, start, goal, k) {
+        const routes = [];
+        const first = restrictedShortestPath(graph, start, goal, new Set(), new Set());
+        if (!first || k < 1) return routes;
+        routes.push({ path: first, cost: graph.pathCost(first) });
+
+        const candidates = createPriorityQueue((a, b) => a.cost - b.cost || a.path.length - b.path.length);
+        const seen = new Set([first.join('\u0000')]);
+        while (routes.length < k) {
+            const previous = routes[routes.length - 1].path;
+            for (let i = 0; i < previous.length - 1; i++) {
+                const spurNode = previous[i];
+                const rootPath = previous.slice(0, i + 1);
+                const blockedEdges = new Set();
+                routes.forEach(route => {
+                    if (route.path.length > i + 1 && rootPath.every((node, j) => route.path[j] === node)) {
+                        blockedEdges.add(`${spurNode}\u0000${route.path[i + 1]}`);
+                    }
+                });
+                // Keep the route loopless: the spur path may not revisit the root
+                const blockedNodes = new Set(rootPath.slice(0, -1));
+                const spurPath = restrictedShortestPath(graph, spurNode, goal, blockedNodes, blockedEdges);
+                if (!spurPath) continue;
+                const path = [...rootPath.slice(0, -1), ...spurPath];
+                const key = path.join('\u0000');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                candidates.push({ path, cost: graph.pathCost(path) });
+            }
+            if (candidates.length === 0) break;
+            routes.push(candidates.pop());
+        }
+        return routes;
+    }
+
+    // ========================================================================
+    // PARETO ROUTES
+    // ========================================================================
+
+    // Labels a Pareto search may create before giving up (fronts can grow exponentially)
+    const PARETO_MAX_LABELS = 200000;
+
+    // No worse on every objective; equal cost vectors count, so duplicates are dropped
+    function weaklyDominates(costs, other) {
+        return costs.every((cost, i) => cost <= other[i] + HEURISTIC_TOLERANCE);
+    }
+
+    /**
+     * Label-setting multi-objective Dijkstra (Martins' algorithm): the Pareto
+     * front of routes from `start` to the goal(s) under several cost models
+     * (keys of costModels, e.g. ['distance', 'toll']). A route is on the front
+     * when no other route is at least as cheap on every objective. Labels are
+     * popped in lexicographic cost order, so a popped label that no final label
+     * at its node dominates is final too; labels a route on the front already
+     * dominates are pruned. Returns [{ path, costs: { objective: cost } }]
+     * sorted by the first objective.
+     */
+    function paretoRoutes(graph, start, goal, objectives = ['distance', 'toll']) {
+        if (!Array.isArray(objectives) || objectives.length < 2 || new Set(objectives).size !== objectives.length) {
+            throw new Error('A Pareto search needs at least two different objectives');
+        }
+        const unknown = objectives.filter(key => !costModels[key]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown cost model: ${unknown.join(', ')}`);
+        }
+
+        const edgeCosts = (from, to) => {
+            const link = graph.getLink(from, to);
+            return objectives.map(key => costModels[key].cost(link));
+        };
+        const lexicographic = (a, b) => {
+            for (let i = 0; i < a.costs.length; i++) {
+                if (a.costs[i] !== b.costs[i]) return a.costs[i] - b.costs[i];
+            }
+            return 0;
+        };
+        const queue = createPriorityQueue(lexicographic);
+        // Cost vectors of the final labels at each node
+        const settled = new Map();
+        const front = [];
+        const isDominated = (node, costs) => front.some(label => weaklyDominates(label.costs, costs))
+            || (settled.get(node) || []).some(other => weaklyDominates(other, costs));
+
+        let labels = 1;
+        queue.push({ node: start, costs: objectives.map(() => 0), parent: null });
+        while (queue.length > 0) {
+            const label = queue.pop();
+            if (isDominated(label.node, label.costs)) continue;
+            if (!settled.has(label.node)) settled.set(label.node, []);
+            settled.get(label.node).push(label.costs);
+            if (isGoalNode(label.node, goal)) {
+                front.push(label);
+                continue;
+            }
+            for (const neighbor of graph.getNeighbors(label.node)) {
+                const step = edgeCosts(label.node, neighbor.id);
+                const costs = label.costs.map((cost, i) => cost + step[i]);
+                if (isDominated(neighbor.id, costs)) continue;
+                if (++labels > PARETO_MAX_LABELS) {
+                    throw new Error(`Pareto search gave up after ${PARETO_MAX_LABELS} labels`);
+                }
+                queue.push({ node: neighbor.id, costs, parent: label });
+            }
+        }
+
+        return front.map(label => {
+            const path = [];
+            for (let step = label; step; step = step.parent) path.unshift(step.node);
+            const costs = {};
+            objectives.forEach((key, i) => { costs[key] = label.costs[i]; });
+            return { path, costs };
+        });
+    }
+
+    // ========================================================================
+    // COMPLEXITY PARAMETERS
+    // ========================================================================
+
+    // Extensions the longest-path search may make before settling for the V − 1 bound
+    const LONGEST_PATH_MAX_STEPS = 100000;
+
+    /**
+     * Roads on the longest loop-free path from `start` (iterative DFS over
+     * simple paths, exponential in general): { length, exact }. Past the step
+     * budget it stops with exact = false.
+     */
+    function longestSimplePath(graph, start, reachableCount) {
+        const onPath = new Set([start]);
+        const stack = [{ node: start, neighbors: graph.getNeighbors(start), index: 0 }];
+        let longest = 0;
+        let steps = 0;
+        while (stack.length > 0) {
+            // No loop-free path can visit more nodes than are reachable
+            if (longest === reachableCount - 1) return { length: longest, exact: true };
+            const top = stack[stack.length - 1];
+            if (top.index >= top.neighbors.length) {
+                onPath.delete(top.node);
+                stack.pop();
+                continue;
+            }
+            const next = top.neighbors[top.index++].id;
+            if (onPath.has(next)) continue;
+            if (++steps > LONGEST_PATH_MAX_STEPS) return { length: longest, exact: false };
+            onPath.add(next);
+            stack.push({ node: next, neighbors: graph.getNeighbors(next), index: 0 });
+            longest = Math.max(longest, stack.length - 1);
+        }
+        return { length: longest, exact: true };
+    }
+
+    /**
+     * The symbols of the textbook complexity bounds, measured on the part of
+     * the graph reachable from `start`:
+     *   b  averageBranching / maxBranching (successors per node)
+     *   d  solutionDepth, roads on the shallowest path to a goal (null if none)
+     *   m  maxDepth, roads on the longest loop-free path (V − 1 with
+     *      maxDepthExact = false when that search is too large)
+     *   C* optimalCost to the nearest goal (null if unreachable)
+     *   ε  minStepCost, the cheapest road costing more than 0; zeroCostSteps
+     *      tells whether free roads exist, which void the ε-based bounds
+     *   V, E, k  nodeCount, edgeCount and goalCount (goals other than start)
+     */
+    function complexityParameters(graph, start, goal) {
+        const hops = new Map([[start, 0]]);
+        const queue = createQueue([start]);
+        let successorTotal = 0;
+        let maxBranching = 0;
+        // Unordered city pairs, so a road listed once per direction counts once
+        const roads = new Set();
+        const roadKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+        let minStepCost = Infinity;
+        let zeroCostSteps = false;
+        while (queue.length > 0) {
+            const node = queue.shift();
+            const neighbors = graph.getNeighbors(node);
+            const successorCount = new Set(neighbors.map(neighbor => neighbor.id)).size;
+            successorTotal += successorCount;
+            maxBranching = Math.max(maxBranching, successorCount);
+            neighbors.forEach(neighbor => {
+                roads.add(roadKey(node, neighbor.id));
+                if (neighbor.distance > 0) {
+                    minStepCost = Math.min(minStepCost, neighbor.distance);
+                } else {
+                    zeroCostSteps = true;
+                }
+                if (!hops.has(neighbor.id)) {
+                    hops.set(neighbor.id, hops.get(node) + 1);
+                    queue.push(neighbor.id);
+                }
+            });
+        }
+
+        const goals = goalList(goal).filter(id => id !== start);
+        const reachedGoals = goals.filter(id => hops.has(id));
+        const costs = shortestPathCosts(graph, [start]);
+        const longest = longestSimplePath(graph, start, hops.size);
+        return {
+            averageBranching: successorTotal / hops.size,
+            maxBranching,
+            solutionDepth: reachedGoals.length > 0 ? Math.min(...reachedGoals.map(id => hops.get(id))) : null,
+            maxDepth: longest.exact ? longest.length : hops.size - 1,
+            maxDepthExact: longest.exact,
+            optimalCost: reachedGoals.length > 0 ? Math.min(...reachedGoals.map(id => costs.get(id))) : null,
+            minStepCost: Number.isFinite(minStepCost) ? minStepCost : null,
+            zeroCostSteps,
+            nodeCount: hops.size,
+            edgeCount: roads.size,
+            goalCount: goals.length
+        };
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    const algorithms = {
+        'bfs': breadthFirstSearch,
+        'dfs': depthFirstSearch,
+        'ucs': uniformCostSearch,
+        'dls': depthLimitedSearch,
+        'iddfs': iterativeDeepeningSearch,
+        'bidirectional': bidirectionalSearch,
+        'bidirectional-ucs': bidirectionalUniformCostSearch,
+        'bidirectional-astar': bidirectionalAStarSearch,
+        'greedy': greedyBestFirstSearch,
+        'astar': aStarSearch,
+        'idastar': iterativeDeepeningAStarSearch,
+        'rbfs': recursiveBestFirstSearch,
+        'tour-ucs': tourUniformCostSearch,
+        'tour-astar': tourAStarSearch,
+        'tour-dp': heldKarpTour,
+        'dstar-lite': dStarLiteSearch
+    };
+
+    /**
+     * Create the event generator for an algorithm.
+     * problem: { graph, start, goal (id or Set of ids), depthLimit?, maxDepth?,
+     *            heuristic?, heuristicWeight?, searchMode?, maxExpansions?,
+     *            successorOrder?, tieBreaking?, seed?, snapshots? }
+     */
+    function createSearch(algorithm, problem) {
+        const algorithmFn = algorithms[algorithm];
+        if (!algorithmFn) {
+            throw new Error('Unknown algorithm selected');
+        }
+        const searchMode = resolveSearchMode(algorithm, problem.searchMode);
+        if (problem.successorOrder && !SUCCESSOR_ORDERS.includes(problem.successorOrder)) {
+            throw new Error(`Unknown successor order: ${problem.successorOrder}`);
+        }
+        if (problem.tieBreaking && !TIE_BREAKING_RULES.includes(problem.tieBreaking)) {
+            throw new Error(`Unknown tie-breaking rule: ${problem.tieBreaking}`);
+        }
+        const search = algorithmFn({ ...problem, searchMode });
+        // Without a reached set a search may follow cycles forever or re-expand
+        // states along exponentially many paths, so it is capped, even when path
+        // checking is the algorithm's default (IDA*, RBFS, DLS, IDDFS)
+        return searchMode === 'graph'
+            ? search
+            : limitTreeSearch(search, searchMode, problem.maxExpansions ?? TREE_SEARCH_MAX_EXPANSIONS);
+    }
+
+    /**
+     * Run an algorithm to completion without animation.
+     * The optional onEvent callback receives every step event.
+     */
+    function runSearch(algorithm, problem, onEvent) {
+        const search = createSearch(algorithm, problem);
+        let step = search.next();
+        while (!step.done) {
+            if (onEvent) onEvent(step.value);
+            step = search.next();
+        }
+        return step.value;
+    }
+
+    const SearchEngine = {
+        algorithms,
+        createGraph,
+        validateGraphData,
+        costModels,
+        withClosures,
+        createQueue,
+        createPriorityQueue,
+        createSearch,
+        runSearch,
+        searchModes: SEARCH_MODES,
+        defaultSearchMode,
+        resolveSearchMode,
+        successorOrders: SUCCESSOR_ORDERS,
+        tieBreakingRules: TIE_BREAKING_RULES,
+        orderSuccessors,
+        haversineDistance,
+        shortestPathTree,
+        shortestPathCosts,
+        kShortestPaths,
+        paretoRoutes,
+        complexityParameters,
+        heuristics,
+        createHeuristic,
+        checkHeuristic,
+        isGoalNode,
+        heuristicToGoalOrGoals,
+        describeGoal
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SearchEngine;
+    } else {
+        root.SearchEngine = SearchEngine;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,22 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const GraphFormats = require('../graph-formats.js');
+
+test('DOT keeps backslashes, quotes and keywords in names', () => {
+    const names = ['Back\\slash', 'Ends in\\', 'Say "hi"', 'Both \\"', 'node', 'Graph'];
+    const graph = {
+        nodes: names.map((id, index) => ({ id, type: 'dec', lat: 7 + index / 10, lon: 80 })),
+        links: [
+            { source: names[0], target: names[1], distance: 4 },
+            { source: names[1], target: names[0], distance: 4 },
+            { source: names[2], target: names[3], distance: 6 },
+            { source: names[3], target: names[2], distance: 6 },
+            { source: names[4], target: names[5], distance: 8 },
+            { source: names[5], target: names[4], distance: 8 }
+        ]
+    };
+    const imported = GraphFormats.fromDot(GraphFormats.toDot(graph));
+    assert.deepStrictEqual(imported.nodes.map(node => node.id), names);
+    assert.deepStrictEqual(imported.links, graph.links);
+});
@@ -0,0 +1,88 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchEngine = require('../search-engine.js');
+const cities = require('../data/cities.json');
+
+test('a road listed once per direction is one neighbor', () => {
+    const graph = SearchEngine.createGraph(cities);
+    const successors = SearchEngine.orderSuccessors(graph, 'Colombo').map(neighbor => neighbor.id);
+    assert.deepStrictEqual(successors, ['Rathmalana', 'Narahenpita', 'Welisara']);
+});
+
+test('a pair listed twice keeps the cheapest link', () => {
+    const graph = SearchEngine.createGraph({
+        nodes: [{ id: 'A', lat: 0, lon: 0 }, { id: 'B', lat: 0, lon: 1 }],
+        links: [
+            { source: 'A', target: 'B', distance: 9 },
+            { source: 'B', target: 'A', distance: 4 }
+        ]
+    });
+    assert.deepStrictEqual(graph.getNeighbors('A'), [{ id: 'B', distance: 4 }]);
+    assert.deepStrictEqual(graph.getNeighbors('B'), [{ id: 'A', distance: 4 }]);
+    assert.strictEqual(graph.getLink('A', 'B').distance, 4);
+});
+
+// Colombo with every road into Meegoda closed off
+function isolatedGoalProblem(searchMode) {
+    const graph = SearchEngine.createGraph(cities);
+    const closedNodes = graph.getNeighbors('Meegoda').map(neighbor => neighbor.id);
+    return {
+        graph: SearchEngine.withClosures(graph, { closedNodes }),
+        start: 'Colombo',
+        goal: new Set(['Meegoda']),
+        searchMode
+    };
+}
+
+for (const algorithm of ['rbfs', 'idastar']) {
+    for (const searchMode of [undefined, 'graph']) {
+        test(`${algorithm} (${searchMode || 'default'} mode) fails on an unreachable goal`, () => {
+            const result = SearchEngine.runSearch(algorithm, isolatedGoalProblem(searchMode));
+            assert.strictEqual(result.success, false);
+            assert.strictEqual(result.limitReached, undefined);
+        });
+    }
+
+    test(`${algorithm} honours maxExpansions in its default mode`, () => {
+        const problem = { ...isolatedGoalProblem(), maxExpansions: 10 };
+        let expansions = 0;
+        const result = SearchEngine.runSearch(algorithm, problem, event => {
+            if (event.type === 'pop') expansions++;
+        });
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.limitReached, true);
+        assert.strictEqual(expansions, 10);
+    });
+}
+
+test('complexity parameters count every road once', () => {
+    const graph = SearchEngine.createGraph(cities);
+    const parameters = SearchEngine.complexityParameters(graph, 'Colombo', new Set(['Meegoda']));
+    assert.strictEqual(parameters.nodeCount, 9);
+    assert.strictEqual(parameters.edgeCount, 16);
+    assert.strictEqual(parameters.maxBranching, 5);
+    assert.strictEqual(parameters.averageBranching, 2 * 16 / 9);
+});
+
+test('bidirectional A* keeps a goal-specific h(n) table out of the backward search', () => {
+    const graph = SearchEngine.createGraph(cities);
+    const costs = SearchEngine.shortestPathCosts(graph, ['Piliyandala']);
+    const heuristic = SearchEngine.createHeuristic(graph, 'table', { table: Object.fromEntries(costs) });
+    const problem = { graph, start: 'Colombo', goal: 'Piliyandala', heuristic };
+    const optimum = SearchEngine.runSearch('ucs', problem);
+    const result = SearchEngine.runSearch('bidirectional-astar', problem);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.cost, optimum.cost);
+});
+
+test('checkHeuristic reports each open inconsistent edge once', () => {
+    const graph = SearchEngine.createGraph(cities);
+    const estimate = SearchEngine.createHeuristic(graph, 'table', { table: { Colombo: 1000 } });
+    const targets = graph => SearchEngine.checkHeuristic(graph, 'Meegoda', estimate).inconsistent
+        .filter(violation => violation.source === 'Colombo')
+        .map(violation => violation.target);
+    assert.deepStrictEqual(targets(graph), ['Rathmalana', 'Narahenpita', 'Welisara']);
+    const closed = SearchEngine.withClosures(graph, { closedRoads: [['Colombo', 'Rathmalana']] });
+    assert.deepStrictEqual(targets(closed), ['Narahenpita', 'Welisara']);
+});